@@ -5,6 +5,9 @@ var assert = require('assert');
 var _ = require('lodash');
 var fs = require('fs');
 var exec = require('child_process').execSync;
+var fork = require('child_process').fork;
+var crypto = require('crypto');
+var os = require('os');
 var Path = require('path');
 var jp = require('json-pointer');
 var jsonPath = require('jsonpath');
@@ -21,7 +24,11 @@ var Request = require('request');
 var MimeLookup = require('mime-lookup');
 var MIME = new MimeLookup(require('mime-db'));
 var URI = require('urijs');
+var readline = require('readline');
 var csvStringify = require('csv-stringify');
+var yaml = require('js-yaml');
+var Jimp = require('jimp');
+var sax = require('sax');
 
 var jsondiffpatch = require('jsondiffpatch').create({
   arrays: {
@@ -34,6 +41,229 @@ var jsondiffpatch = require('jsondiffpatch').create({
   }
 });
 
+var validationCacheFile = '.validation-cache.json';
+var linksCacheFile = '.links-cache.json';
+var httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+var versionStages = ['alpha', 'beta', 'rc'];
+
+//Each rule handles validation errors with listed codes, first rule that
+//returns changes for the error wins, see 'fixSpec'
+var fixRules = {
+  'add-path-parameter': {
+    codes: ['MISSING_PATH_PARAMETER_DEFINITION'],
+    fix: fixMissingPathParameter
+  },
+  'remove-unknown-required': {
+    codes: ['OBJECT_MISSING_REQUIRED_PROPERTY_DEFINITION'],
+    fix: fixUnknownRequiredProperties
+  },
+  'require-path-parameter': {
+    codes: ['ONE_OF_MISSING'],
+    fix: fixOptionalPathParameter
+  },
+  'definition-reference': {
+    codes: ['UNRESOLVABLE_REFERENCE'],
+    fix: fixDefinitionReference
+  },
+  'rename-duplicate-operationid': {
+    codes: ['DUPLICATE_OPERATIONID'],
+    fix: fixDuplicateOperationIds
+  },
+  'default-version': {
+    codes: ['OBJECT_MISSING_REQUIRED_PROPERTY'],
+    fix: fixMissingVersion
+  },
+  'array-items': {
+    codes: ['OBJECT_MISSING_REQUIRED_PROPERTY'],
+    fix: fixMissingArrayItems
+  },
+  'default-value': {
+    codes: ['ENUM_MISMATCH', 'INVALID_FORMAT', 'INVALID_TYPE'],
+    fix: fixDefaultValue
+  }
+};
+
+//Default columns of 'csv' command: name of computed column, JSON pointer or jsonpath
+var csvColumns = {
+  'id': 'id',
+  'status': 'status',
+  'info_title': '/info/title',
+  'info_description': '/info/description',
+  'info_termsOfService': '/info/termsOfService',
+  'info_contact_name': '/info/contact/name',
+  'info_contact_url': '/info/contact/url',
+  'info_contact_email': '/info/contact/email',
+  'info_license_name': '/info/license/name',
+  'info_license_url': '/info/license/url',
+  'info_x-website': '/info/x-website',
+  'info_x-logo_url': '/info/x-logo/url',
+  'info_x-logo_background': '/info/x-logo/background',
+  'info_x-apiClientRegistration_url': '/info/x-apiClientRegistration/url',
+  'info_x-pricing_type': '/info/x-pricing/type',
+  'info_x-pricing_url': '/info/x-pricing/url',
+  'externalDocs_description': '/externalDocs/description',
+  'externalDocs_url': '/externalDocs/url'
+};
+
+var csvComputedColumns = {
+  id: function (swagger, api, id) {
+    return id;
+  },
+  version: function (swagger) {
+    return swagger.info.version;
+  },
+  status: function (swagger, api) {
+    return getVersionStatus(api, swagger.info.version);
+  },
+  operations: function (swagger) {
+    return _.size(getOperations(swagger));
+  },
+  definitions: function (swagger) {
+    return _.size(swagger.definitions);
+  },
+  added: function (swagger) {
+    return gitLogDate('--follow --diff-filter=A -1', getSwaggerPath(swagger));
+  },
+  updated: function (swagger) {
+    return gitLogDate('-1', getSwaggerPath(swagger));
+  },
+  originFormat: function (swagger) {
+    return getOrigin(swagger).format;
+  }
+};
+
+//Text fields of search index with their weights
+var searchFields = {
+  title: 10,
+  tags: 5,
+  paths: 3,
+  definitions: 3,
+  description: 2,
+  summaries: 1
+};
+var searchFacets = ['provider', 'format', 'auth', 'host'];
+var searchIndexFile = 'api/v1/search.json';
+var cacheManifestFile = 'cache/manifest.json';
+//Manifest read by lint rules, loaded once on first use
+var lintCacheManifest;
+var logoSizes = [64, 128];
+
+//Everything else is removed from SVG logos, including content of removed elements
+var svgElements = [
+  'svg', 'g', 'defs', 'title', 'desc', 'symbol', 'use', 'style', 'marker',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'image',
+  'text', 'tspan', 'textPath', 'linearGradient', 'radialGradient', 'stop',
+  'clipPath', 'mask', 'pattern', 'filter', 'feBlend', 'feColorMatrix',
+  'feComponentTransfer', 'feComposite', 'feFlood', 'feFuncA', 'feFuncB',
+  'feFuncG', 'feFuncR', 'feGaussianBlur', 'feMerge', 'feMergeNode',
+  'feMorphology', 'feOffset'
+];
+var svgAttributes = [
+  'id', 'class', 'style', 'version', 'viewBox', 'preserveAspectRatio',
+  'width', 'height', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry',
+  'fx', 'fy', 'dx', 'dy', 'd', 'points', 'transform', 'offset', 'opacity',
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray',
+  'stroke-dashoffset', 'color', 'display', 'visibility', 'overflow',
+  'clip-path', 'clip-rule', 'clipPathUnits', 'mask', 'maskUnits', 'maskContentUnits',
+  'stop-color', 'stop-opacity', 'gradientUnits', 'gradientTransform', 'spreadMethod',
+  'patternUnits', 'patternContentUnits', 'patternTransform',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor',
+  'dominant-baseline', 'letter-spacing', 'filter', 'filterUnits', 'in', 'in2',
+  'result', 'stdDeviation', 'mode', 'operator', 'k1', 'k2', 'k3', 'k4', 'values',
+  'type', 'flood-color', 'flood-opacity', 'radius', 'markerWidth', 'markerHeight',
+  'markerUnits', 'refX', 'refY', 'orient', 'marker-start', 'marker-mid', 'marker-end',
+  'enable-background', 'href'
+];
+
+//URLs checked by 'links' command, base URL built from host and basePath is added to them
+var linkPaths = {
+  'x-origin': '$.info["x-origin"].url',
+  'termsOfService': '$.info.termsOfService',
+  'contact': '$.info.contact.url',
+  'license': '$.info.license.url',
+  'x-apiClientRegistration': '$.info["x-apiClientRegistration"].url',
+  'x-logo': '$.info["x-logo"].url',
+  'externalDocs': '$..externalDocs.url'
+};
+
+//Severity can be overridden per spec with 'lint.json' files, see 'getLintConfig'
+var lintRules = {
+  'info-required': {
+    severity: 'error',
+    description: 'info has extensions required by collection',
+    check: lintInfoRequired
+  },
+  'info-recommended': {
+    severity: 'warning',
+    description: 'spec has description, logo and external docs',
+    check: lintInfoRecommended
+  },
+  'provider-directory': {
+    severity: 'error',
+    description: 'spec is stored in directory matching provider and service names',
+    check: lintProviderDirectory
+  },
+  'patch-present': {
+    severity: 'warning',
+    description: 'spec or one of its parent directories has patch.json',
+    check: lintPatchPresent
+  },
+  'operation-responses': {
+    severity: 'error',
+    description: 'every operation has responses',
+    check: lintOperationResponses
+  },
+  'operation-summary': {
+    severity: 'warning',
+    description: 'every operation has summary',
+    check: lintOperationSummary
+  },
+  'unused-definitions': {
+    severity: 'warning',
+    description: 'every definition is referenced',
+    check: lintUnusedDefinitions
+  },
+  'fixup': {
+    severity: 'error',
+    description: 'fixup.json applies cleanly to the spec it was made for',
+    check: lintFixup
+  },
+  'logo-background': {
+    severity: 'warning',
+    description: 'light and transparent logo has backgroundColor, uses results of "cache" command',
+    check: lintLogoBackground
+  },
+  'overrides': {
+    severity: 'info',
+    description: 'spec contradicts its source with override.json',
+    check: lintOverrides
+  }
+};
+
+//Directories of specs used by 'discover' command, 'parse' converts directory
+//into list of candidates: {id, url, type, preferred, service}
+var discoverySources = {
+  'google': {
+    description: 'Google APIs Discovery Service',
+    location: 'https://www.googleapis.com/discovery/v1/apis',
+    blacklist: 'googleapis.com/blacklist.json',
+    parse: parseGoogleDirectory
+  },
+  'directory': {
+    description: 'list of spec URLs in JSON, YAML or APIs.json format',
+    parse: parseSpecDirectory
+  }
+};
+
+//APIs.json property types we can import
+var apisJsonTypes = {
+  'Swagger': 'swagger_2',
+  'RAML': 'raml',
+  'API Blueprint': 'api_blueprint',
+  'WADL': 'wadl'
+};
+
 var program = require('commander');
 
 var errExitCode = 255;
@@ -50,22 +280,70 @@ program
 program
   .command('update')
   .description('run update')
+  .option('--offline', 'rebuild specs from stored origin documents')
+  .option('--dry-run', 'show applied fixes without writing specs')
   .arguments('[DIR]')
   .action(updateCollection);
 
 program
   .command('validate')
   .description('validate collection')
+  .option('--format <FORMAT>', 'report format: text, json or junit', 'text')
+  .option('--changed <REV>', 'validate only specs changed since git revision')
+  .option('-j, --jobs <N>', 'number of validation workers', Number, os.cpus().length)
+  .option('--no-cache', 'ignore cached validation results')
+  .arguments('[DIR]')
   .action(validateCollection);
 
+program
+  .command('validate-worker', {noHelp: true})
+  .action(validateWorker);
+
+program
+  .command('links')
+  .description('check all URLs in specs')
+  .option('-j, --jobs <N>', 'number of hosts checked in parallel', Number, 8)
+  .option('--delay <MS>', 'delay between requests to the same host', Number, 500)
+  .option('--timeout <MS>', 'request timeout', Number, 10000)
+  .option('--max-age <HOURS>', 'reuse cached results checked earlier', Number, 24)
+  .option('--no-cache', 'ignore cached results')
+  .option('--broken', 'report only broken and redirected URLs')
+  .option('--json', 'output report as JSON')
+  .arguments('[DIR]')
+  .action(checkLinks);
+
+program
+  .command('diff')
+  .description('show breaking changes between specs')
+  .option('--since <REV>', 'compare specs changed since git revision')
+  .option('-J, --json', 'output report as JSON')
+  .arguments('[OLD] [NEW]')
+  .action(diffCollection);
+
 program
   .command('google')
   .description('add new Google APIs')
-  .action(updateGoogle);
+  .option('--dry-run', 'only report new, known and blacklisted APIs')
+  .action(function (command) {
+    discoverSpecs('google', undefined, command);
+  });
+
+program
+  .command('discover')
+  .description('add new specs from API directory: ' + _.keys(discoverySources).join(', '))
+  .option('--dry-run', 'only report new, known and blacklisted specs')
+  .option('-b, --blacklist <FILE>', 'JSON file with blacklisted ids and reasons')
+  .option('-t, --type <TYPE>', 'type of specs without explicit type')
+  .arguments('<SOURCE> [LOCATION]')
+  .action(discoverSpecs);
 
 program
   .command('cache')
-  .description('cache external resources')
+  .description('cache logos, external $refs, terms of service and external docs')
+  .option('--max-age <DAYS>', 're-download resources fetched earlier', Number, 7)
+  .option('--retries <N>', 'retry failed downloads', Number, 2)
+  .option('--retry-interval <MS>', 'delay between retries', Number, 1000)
+  .option('-j, --jobs <N>', 'number of parallel downloads', Number, 4)
   .arguments('<SPEC_ROOT_URL>')
   .action(cacheResources);
 
@@ -78,22 +356,74 @@ program
 program
   .command('csv')
   .description('generate CSV list')
+  .option('-c, --columns <SPEC>', 'JSON file or comma-separated list of columns: ' +
+    'JSON pointers, jsonpaths or ' + _.keys(csvComputedColumns).join(', ') +
+    '; commas inside quotes, brackets or parentheses don\'t separate columns')
+  .option('--all-versions', 'row for every version instead of preferred one')
+  .option('-o, --output <FILE>', 'output file', 'internal_api/list.csv')
   .action(generateCSV);
 
+program
+  .command('search')
+  .description('search collection using index generated by "api" command')
+  .option('-i, --index <FILE>', 'search index, built from collection if missing', searchIndexFile)
+  .option('--provider <NAME>', 'only APIs of provider')
+  .option('--format <FORMAT>', 'only specs converted from format, e.g. google')
+  .option('--auth <TYPE>', 'only APIs with security scheme type, e.g. oauth2 or none')
+  .option('--host <HOST>', 'only APIs on host')
+  .option('--facets', 'show facet counts for results')
+  .option('-n, --limit <N>', 'number of results to show', Number, 20)
+  .arguments('[QUERY...]')
+  .action(searchCollection);
+
 program
   .command('apisjson')
   .description('generate APIs.json file')
+  .option('-p, --per-provider', 'also generate APIs.json file for every provider')
   .arguments('<SPEC_ROOT_URL>')
   .action(generateAPIsJSON);
 
 program
   .command('add')
-  .description('add new spec')
+  .description('add new spec from URL, local file or directory')
   .option('-f, --fixup', 'try to fix spec')
   .option('-s, --service <NAME>', 'supply service name')
-  .arguments('<TYPE> <URL>')
+  .option('--no-service', 'spec has no service name, skip detection')
+  .option('--dry-run', 'show applied fixes without writing spec')
+  .option('-o, --origin-url <URL>', 'canonical URL of local spec for x-origin')
+  .arguments('<TYPE> <SOURCE>')
   .action(addToCollection);
 
+program
+  .command('check-upstream')
+  .description('compare specs with their upstream sources without writing anything')
+  .option('--json', 'output report as JSON')
+  .arguments('[DIR]')
+  .action(checkUpstream);
+
+program
+  .command('fixups')
+  .description('check that fixups apply cleanly to converted specs')
+  .option('--offline', 'use stored origin documents')
+  .arguments('<check> [DIR]')
+  .action(checkFixups);
+
+program
+  .command('blame')
+  .description('show which layer of update pipeline set every field of spec')
+  .option('--offline', 'use stored origin document')
+  .arguments('<SPEC> [POINTER]')
+  .action(blameSpec);
+
+program
+  .command('fixup')
+  .description('add changes to fixup.json of spec')
+  .option('-p, --patch <FILE>', 'apply RFC 6902 JSON Patch')
+  .option('-e, --edited <FILE>', 'use edited version of spec')
+  .option('--show', 'show current fixup')
+  .arguments('<SPEC>')
+  .action(fixupSpec);
+
 program.parse(process.argv);
 
 function urlsCollection() {
@@ -102,25 +432,31 @@ function urlsCollection() {
   });
 }
 
-function updateCollection(dir) {
+function updateCollection(dir, command) {
   var specs = getSpecs(dir);
   async.forEachOfSeries(specs, function (swagger, filename, asyncCb) {
-    var exPatch = {info: {}};
-    var serviceName = getServiceName(swagger);
+    var exPatch = getUpdatePatch(swagger);
     var type = getSpecType(swagger);
-    if (type !== 'google' && serviceName)
-      exPatch.info['x-serviceName'] = serviceName;
 
     var url = getOriginUrl(swagger);
     console.error(url);
 
-    writeSpec(url, type, exPatch, function (error, result) {
-      if (error)
-        return logError(error, result);
+    var source = getUpdateSource(swagger, command.offline);
+    if (_.isUndefined(source)) {
+      console.error('No stored origin for "' + filename + '", skipping');
+      process.exitCode = errExitCode;
+      return asyncCb(null);
+    }
+
+    writeSpec(source, type, exPatch, {dryRun: command.dryRun}, function (error, result) {
+      if (error) {
+        logError(error, result);
+        return asyncCb(null);
+      }
 
       var newFilename = getSwaggerPath(result.swagger);
       if (newFilename !== filename)
-        asyncCb(Error("Spec was moved to new location"));
+        return asyncCb(Error("Spec was moved to new location"));
       asyncCb(null);
     });
   }, function (error) {
@@ -129,344 +465,2537 @@ function updateCollection(dir) {
   });
 }
 
-function cacheResources(specRootUrl) {
-  _.each(getSpecs(), function (swagger, filename) {
-    if (_.isUndefined(swagger.info['x-logo']))
-      return;
-
-    var url = swagger.info['x-logo'].url;
-    getResource(url, {encoding: null, gzip: true}, function(err, response, data) {
-      assert(!err, err);
-
-      var mime = response.headers['content-type'];
-      assert(mime.match('image/'));
-      var extension = MIME.extension(mime);
-      assert(extension);
-      var logoFile = 'cache/' + filename.replace(/swagger.json$/, 'logo.' + extension);
-      saveFile(logoFile, data);
+function getUpdatePatch(swagger) {
+  var exPatch = {info: {}};
+  var serviceName = getServiceName(swagger);
+  if (getSpecType(swagger) !== 'google' && serviceName)
+    exPatch.info['x-serviceName'] = serviceName;
+  return exPatch;
+}
 
-      var fragment = URI(url).fragment();
-      if (fragment)
-        fragment = '#' + fragment;
+//Stored origin document in offline mode, see 'saveOrigin', otherwise origin URL
+function getUpdateSource(swagger, offline) {
+  if (!offline)
+    return getOriginUrl(swagger);
+  return readJson(getSwaggerPath(swagger, 'origin.json'));
+}
 
-      swagger.info['x-logo'].url = specRootUrl + logoFile + fragment;
-      saveJson(filename, swagger);
+function checkUpstream(dir, command) {
+  var report = {};
+  async.forEachOfSeries(getSpecs(dir), function (swagger, filename, asyncCb) {
+    compareWithUpstream(swagger, filename, function (result) {
+      report[filename] = result;
+      if (!command.json)
+        console.log(upstreamResultToString(filename, result));
+      asyncCb(null);
     });
+  }, function () {
+    if (command.json)
+      console.log(Json2String(report));
+    else {
+      console.log(_.map(_.countBy(report, 'status'), function (count, status) {
+        return count + ' ' + status;
+      }).join(', '));
+    }
+
+    if (!_.every(report, {status: 'unchanged'}))
+      process.exitCode = errExitCode;
   });
 }
 
-function getResource(url, options, callback) {
-  if (_.isFunction(options)) {
-    callback = options;
-    options = {};
+//Run the same pipeline as 'writeSpec' in memory, result has 'status' which is
+//one of 'unchanged', 'changed', 'moved', 'unreachable' or 'failed'
+function compareWithUpstream(oldSwagger, filename, callback) {
+  callback = _.once(callback);
+  function fail(status, error) {
+    callback({status: status, error: error.toString()});
   }
 
-  options.method = 'GET';
-  options.url = url;
-  new Request(options, function(err, response, data) {
+  //every step can throw, it should fail only this spec and not whole report
+  function guard(fn) {
+    return function () {
+      try {
+        fn.apply(this, arguments);
+      }
+      catch (e) {
+        fail('failed', e);
+      }
+    };
+  }
+
+  guard(function () {
+    getOriginSpec(getUpdateSource(oldSwagger), getSpecType(oldSwagger), guard(onSpec));
+  })();
+
+  function onSpec(err, spec) {
     if (err)
-      return callback(new Error('Can not GET "' + url +'": ' + err));
-    if (response.statusCode !== 200)
-      return callback(new Error('Can not GET "' + url +'": ' + response.statusMessage));
-    console.log(url);
-    callback(null, response, data);
-  });
+      return fail('unreachable', err);
+
+    convertToSwagger(spec, guard(function (err, swagger) {
+      if (err)
+        return fail('failed', err);
+
+      var fixupProblems = patchSwagger(swagger, getUpdatePatch(oldSwagger));
+      if (_.some(fixupProblems, {type: 'conflict'}))
+        return fail('failed', Error('Fixup conflicts with spec'));
+
+      validateAndFix(swagger, guard(function (errors) {
+        if (errors)
+          return fail('failed', Error('Spec has ' + [].concat(errors).length + ' validation errors'));
+
+        var newFilename = getSwaggerPath(swagger);
+        var delta = jsondiffpatch.diff(oldSwagger, swagger);
+        if (_.isUndefined(delta) && newFilename === filename)
+          return callback({status: 'unchanged'});
+
+        var result = {
+          status: 'changed',
+          sections: _.keys(delta).sort(),
+          operations: summarizeMapChanges(getOperations(oldSwagger), getOperations(swagger)),
+          definitions: summarizeMapChanges(oldSwagger.definitions, swagger.definitions),
+          breaking: _.filter(diffSpecs(oldSwagger, swagger), 'breaking').length
+        };
+        if (newFilename !== filename) {
+          result.status = 'moved';
+          result.movedTo = newFilename;
+        }
+        callback(result);
+      }));
+    }));
+  }
 }
 
-function generateList() {
-  var list = {};
+function upstreamResultToString(filename, result) {
+  var str = filename + ': ' + result.status;
+  if (result.error)
+    str += '\n  ' + result.error;
+  if (result.movedTo)
+    str += '\n  moved to ' + result.movedTo;
+  if (result.sections) {
+    str += '\n  sections: ' + result.sections.join(', ') +
+      '\n  ' + changeSummaryToString(result) +
+      '\n  breaking changes: ' + result.breaking;
+  }
+  return str;
+}
 
-  _.each(getSpecs(), function (swagger, filename) {
-    var id = getProviderName(swagger);
-    assert(id.indexOf(':') === -1);
+function checkFixups(action, dir, command) {
+  if (action !== 'check') {
+    console.error('Unknown action: ' + action);
+    process.exitCode = errExitCode;
+    return;
+  }
 
-    var service = getServiceName(swagger);
-    if (!_.isUndefined(service)) {
-      assert(service.indexOf(':') === -1);
-      id += ':' + service;
+  var specs = _.pick(getSpecs(dir), function (swagger) {
+    return fs.existsSync(getSwaggerPath(swagger, 'fixup.json'));
+  });
+
+  async.forEachOfSeries(specs, function (swagger, filename, asyncCb) {
+    function fail(error) {
+      console.error(filename + ': ' + error);
+      process.exitCode = errExitCode;
+      asyncCb(null);
     }
 
-    var version = swagger.info.version;
-    if (_.isUndefined(list[id]))
-      list[id] = { versions: {} };
+    var source = getUpdateSource(swagger, command.offline);
+    if (_.isUndefined(source))
+      return fail('No stored origin');
 
-    list[id].versions[version] = swagger;
-  });
+    getOriginSpec(source, getSpecType(swagger), function (err, spec) {
+      if (err)
+        return fail(err);
 
-  _.each(list, function (api, id) {
-    if (_.size(api.versions) === 1)
-      api.preferred = _.keys(api.versions)[0];
-    else {
-      _.each(api.versions, function (spec, version) {
-        var preferred = spec.info['x-preferred'];
-        assert(_.isBoolean(preferred));
-        if (preferred) {
-          assert(!api.preferred);
-          api.preferred = version;
-        }
+      convertToSwagger(spec, function (err, newSwagger) {
+        if (err)
+          return fail(err);
+
+        var problems = patchSwagger(newSwagger, getUpdatePatch(swagger));
+        console.log(filename + ':\n' + fixupProblemsToString(problems));
+        if (_.some(problems, {type: 'conflict'}))
+          process.exitCode = errExitCode;
+        asyncCb(null);
       });
-    }
+    });
   });
-
-  return list;
 }
 
-function generateAPI(specRootUrl) {
-  var list = {};
+//Rebuild spec the same way as 'writeSpec' does, saving snapshot after every layer
+function blameSpec(specPath, pointer, command) {
+  specPath = resolveSwaggerPath(specPath);
+  pointer = pointer || '';
+  var oldSwagger = readJson(specPath);
+  assert(oldSwagger, 'Can not read spec: ' + specPath);
 
-  _.each(generateList(), function (api, id) {
-    var dir = id.replace(/:/, '/');
-    list[id] = {
-      preferred: api.preferred,
-      versions: {}
-    };
-    _.each(api.versions, function (swagger, version) {
-      var filename = dir + '/' + version + '/swagger.json';
+  var source = getUpdateSource(oldSwagger, command.offline);
+  assert(source, 'No stored origin for "' + specPath + '"');
 
-      var versionObj = list[id].versions[version] = {
-        swaggerUrl: specRootUrl + getSwaggerPath(swagger),
-        info: swagger.info,
-        added: gitLogDate('--follow --diff-filter=A -1', filename),
-        updated: gitLogDate('-1', filename)
-      };
+  getOriginSpec(source, getSpecType(oldSwagger), function (err, spec) {
+    assert(!err, err);
 
-      if (swagger.externalDocs)
-        versionObj.externalDocs = swagger.externalDocs;
+    spec.convertTo('swagger_2', null, function (err, converted) {
+      assert(!err, err);
+
+      var swagger = converted.spec;
+      var layers = [];
+      function addLayer(name) {
+        layers.push({name: name, swagger: _.cloneDeep(swagger)});
+      }
+
+      addLayer('converter');
+      addOriginInfo(swagger, spec);
+      addLayer('convertToSwagger');
+      removeEmpty(swagger.info);
+      addLayer('removeEmpty');
+
+      var base = swagger;
+      var patchLayers = getPatchLayers(swagger, getUpdatePatch(oldSwagger));
+      _.each(patchLayers, function (layer, index) {
+        swagger = _.cloneDeep(base);
+        applyPatch(swagger, mergePatchLayers(_.take(patchLayers, index + 1)));
+        addLayer(layer.name);
+      });
+
+      _.each(getOverrideLayers(swagger), function (layer) {
+        applyOverride(swagger, layer.patch);
+        addLayer(layer.name);
+      });
+
+      applyFixup(swagger);
+      addLayer(getSwaggerPath(swagger, 'fixup.json'));
+
+      validateAndFix(swagger, function () {
+        addLayer('fixSpec');
+        console.log(blameToString(blameLayers(layers, pointer)));
+      });
     });
-    //FIXME: here we don't track deleted version, not a problem for right now :)
-    list[id].added = _(list[id].versions).values().pluck('added').min();
   });
+}
 
-  console.log('Generated list for ' + _.size(list) + ' API specs.');
+//For every leaf under 'pointer' list layers that changed its value
+function blameLayers(layers, pointer) {
+  var values = _.map(layers, function (layer) {
+    if (!jp.has(layer.swagger, pointer))
+      return {};
 
-  saveJson('api/v1/list.json', list);
-}
-
-function generateCSV(list) {
-  var header = [
-    'id',
-    'info_title',
-    'info_description',
-    'info_termsOfService',
-    'info_contact_name',
-    'info_contact_url',
-    'info_contact_email',
-    'info_license_name',
-    'info_license_url',
-    'info_x-website',
-    'info_x-logo_url',
-    'info_x-logo_background',
-    'info_x-apiClientRegistration_url',
-    'info_x-pricing_type',
-    'info_x-pricing_url',
-    'externalDocs_description',
-    'externalDocs_url',
-  ];
-
-  var table = [header];
-  _.forEach(generateList(), function (api, id) {
-    var apiData = api.versions[api.preferred];
-    var row = [id];
-    _.forEach(header, function (column) {
-      if (column === 'id') return;
+    var value = jp(layer.swagger, pointer);
+    if (!_.isObject(value))
+      return {'': value};
+    return jp.dict(value);
+  });
 
-      var path = column.replace(/_/g, '.');
-      row.push(_.get(apiData, path));
+  var leafs = _.sortBy(_.union.apply(_, _.map(values, _.keys)));
+  return _.map(leafs, function (leaf) {
+    var previous;
+    var changedBy = [];
+    _.each(values, function (value, index) {
+      if (!_.isEqual(value[leaf], previous))
+        changedBy.push(layers[index].name);
+      previous = value[leaf];
     });
-    table.push(row);
-  });
 
-  csvStringify(table, function (err, output) {
-    assert(!err, 'Failed stringify: ' + err);
-    saveFile('internal_api/list.csv', output);
+    return {
+      pointer: pointer + leaf,
+      removed: _.isUndefined(previous),
+      layers: changedBy
+    };
   });
 }
 
-function generateAPIsJSON(specRootUrl) {
-  var collection = {
-    name: 'APIs.guru',
-    description: 'Wikipedia for Web APIs',
-    image: 'https://apis-guru.github.io/api-models/branding/logo_horizontal.svg',
-    added: '2015-10-15',
-    modified: new Date().toISOString().substring(0, 10),
-    url: specRootUrl + 'apis.json',
-    specificationVersion: '0.15',
-    apis: [],
-    maintainers: [{
-      FN: 'APIs.guru',
-      email: 'founders@APIs.guru',
-      photo: 'https://apis-guru.github.io/api-models/branding/logo_horizontal.svg'
-    }]
-  };
+function blameToString(blame) {
+  return _.map(blame, function (entry) {
+    return entry.pointer + ': ' + entry.layers.join(' -> ') +
+      (entry.removed ? ' (removed)' : '');
+  }).join('\n');
+}
 
-  _.each(getSpecs(), function (swagger) {
-    var info = swagger.info;
-    collection.apis.push({
-      name: info.title,
-      description: info.description,
-      image: info['x-logo'] && info['x-logo'].url,
-      humanUrl: swagger.externalDocs && swagger.externalDocs.url,
-      baseUrl: swagger.schemes[0] + '://' + swagger.host + swagger.basePath,
-      version: info.version,
-      properties: [{
-        type: 'Swagger',
-        url: specRootUrl + getSwaggerPath(swagger)
-      }]
+//Download external resources into 'cache/' and record them in manifest, failures
+//are reported at the end and previously cached copy is kept
+function cacheResources(specRootUrl, command) {
+  var manifest = readJson(cacheManifestFile) || {};
+  var specs = getSpecs();
+  var now = new Date();
+
+  var resources = {};
+  _.each(specs, function (swagger, filename) {
+    _.each(getExternalResources(swagger, specRootUrl), function (resource) {
+      var url = resource.url;
+      resources[url] = resources[url] || {kind: resource.kind, specs: []};
+      resources[url].specs.push(filename);
     });
   });
 
-  saveJson('apis.json', collection);
-}
+  var failures = {};
+  async.forEachOfLimit(resources, command.jobs, function (resource, url, asyncCb) {
+    var entry = manifest[url];
+    if (entry && !isStaleResource(entry, now, command.maxAge))
+      return asyncCb(null);
+
+    var retryOptions = {times: command.retries + 1, interval: command.retryInterval};
+    async.retry(retryOptions, function (retryCb) {
+      fetchResource(url, resource.kind, retryCb);
+    }, function (err, result) {
+      function fail(err) {
+        failures[url] = _.extend({error: err.message}, resource);
+        manifest[url] = _.extend({kind: resource.kind}, entry, {
+          error: err.message,
+          failed: now.toISOString()
+        });
+        asyncCb(null);
+      }
 
-function gitLogDate(options, filename) {
-  var result = exec('git log --format=%aD ' + options + ' -- \'' + filename + '\'');
-  result = result.toString();
-  return new Date(result);
-}
+      if (err)
+        return fail(err);
+
+      var sha1 = crypto.createHash('sha1').update(result.data).digest('hex');
+      var urlHash = crypto.createHash('sha1').update(url).digest('hex');
+      var extension = MIME.extension(result.contentType) || 'dat';
+      var file = 'cache/' + resource.kind + '/' + urlHash + '.' + extension;
+
+      function done(err, info) {
+        if (err)
+          return fail(err);
+
+        manifest[url] = _.extend({
+          kind: resource.kind,
+          file: file,
+          contentType: result.contentType,
+          sha1: sha1,
+          fetched: now.toISOString()
+        }, info);
+        asyncCb(null);
+      }
 
-/* TODO: automatic detection of version formats
-function compareVersions(ver1, ver2) {
-  assert(ver1 !== ver2);
+      if (resource.kind === 'logo')
+        return normalizeLogo(result, file, done);
 
-  var versionRegex = /^v(\d+(?:\.\d+)*)(?:beta(\d+))?$/
-  var ver1parts = ver1.match(versionRegex);
-  var ver2parts = ver2.match(versionRegex);
+      saveFile(file, result.data);
+      done(null);
+    });
+  }, function () {
+    _.each(specs, function (swagger, filename) {
+      var logo = swagger.info['x-logo'];
+      var originUrl = getLogoOriginUrl(swagger);
+      var entry = originUrl && manifest[URI(originUrl).fragment('').toString()];
+      if (!entry || !entry.file)
+        return;
+
+      var fragment = URI(originUrl).fragment();
+      if (fragment)
+        fragment = '#' + fragment;
+
+      logo.url = specRootUrl + entry.file + fragment;
+      logo['x-origin'] = {url: originUrl};
+      _.each(['width', 'height'], function (field) {
+        if (_.has(entry, field))
+          logo[field] = entry[field];
+        else
+          delete logo[field];
+      });
+      if (!_.isEmpty(entry.thumbnails)) {
+        logo.thumbnails = _.map(entry.thumbnails, function (thumbnail) {
+          return {
+            url: specRootUrl + thumbnail.file,
+            width: thumbnail.width,
+            height: thumbnail.height
+          };
+        });
+      }
+      else
+        delete logo.thumbnails;
+      saveJson(filename, swagger);
+    });
+
+    saveJson(cacheManifestFile, manifest);
+
+    _.each(failures, function (failure, url) {
+      console.error('Can not cache ' + failure.kind + ' "' + url + '" used by ' +
+        failure.specs.join(', ') + ': ' + failure.error);
+    });
+    console.error('Checked ' + _.size(resources) + ' resources, ' + _.size(failures) + ' failed');
+  });
 }
-*/
 
-function validateCollection() {
-  var specs = getSpecs();
-  var foundErrors = false;
-  async.forEachOfSeries(specs, function (swagger, filename, asyncCb) {
-    console.error('======================== ' + filename + ' ================');
-    validateSwagger(swagger, function (errors, warnings) {
-      foundErrors = !_.isEmpty(errors) || foundErrors;
-      if (errors)
-        logJson(errors);
-      if (warnings)
-        logJson(warnings);
-    });
-    asyncCb(null);
-  }, function () {
-    if (foundErrors)
-      process.exitCode = errExitCode;
+//Sanitized copy of SVG logos and square PNG thumbnails of raster ones, result has
+//dimensions of logo and flags needed to detect logos invisible on white background
+function normalizeLogo(result, file, callback) {
+  if (result.contentType === 'image/svg+xml') {
+    try {
+      var svg = sanitizeSvg(result.data.toString());
+    }
+    catch (e) {
+      return callback(Error('Can not sanitize SVG logo: ' + e.message));
+    }
+    saveFile(file, svg);
+    return callback(null, getSvgSize(svg));
+  }
+
+  //formats unknown to Jimp (e.g. ICO) are kept as is, without size and thumbnails,
+  //Jimp calls back for them without error and image
+  Jimp.read(result.data, function (err, image) {
+    if (err || !image) {
+      saveFile(file, result.data);
+      return callback(null, {});
+    }
+
+    var bitmap = image.bitmap;
+    var transparent = false;
+    var luminance = 0;
+    var opaque = 0;
+    image.scan(0, 0, bitmap.width, bitmap.height, function (x, y, idx) {
+      var data = this.bitmap.data;
+      if (data[idx + 3] < 255)
+        transparent = true;
+      if (data[idx + 3] >= 128) {
+        luminance += 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+        ++opaque;
+      }
+    });
+
+    var logo = {
+      width: bitmap.width,
+      height: bitmap.height,
+      transparent: transparent,
+      light: opaque > 0 && luminance / opaque > 230
+    };
+
+    async.mapSeries(logoSizes, function (size, mapCb) {
+      var thumbnailFile = file.replace(/\.[^.\/]+$/, '') + '-' + size + '.png';
+      image.clone().contain(size, size).getBuffer(Jimp.MIME_PNG, function (err, buffer) {
+        if (err)
+          return mapCb(err);
+
+        saveFile(thumbnailFile, buffer);
+        mapCb(null, {file: thumbnailFile, width: size, height: size});
+      });
+    }, function (err, thumbnails) {
+      if (err)
+        return callback(err);
+
+      saveFile(file, result.data);
+      logo.thumbnails = thumbnails;
+      callback(null, logo);
+    });
   });
 }
 
-function addToCollection(type, url, command) {
-  var exPatch = {info: {}};
-  if (command.service)
-    exPatch.info['x-serviceName'] = command.service;
+//Rebuild SVG from allowed elements and attributes, references are allowed only
+//inside of document or to embedded raster images
+function sanitizeSvg(svg) {
+  var svgNS = 'http://www.w3.org/2000/svg';
+  var xlinkNS = 'http://www.w3.org/1999/xlink';
+  var xmlNS = 'http://www.w3.org/XML/1998/namespace';
+
+  function isSafeValue(value) {
+    return !/url\s*\(\s*['"]?\s*(?!#)|@import|expression\s*\(|javascript:|<\//i.test(value);
+  }
+
+  function isSafeHref(value) {
+    return /^\s*(#|data:image\/(png|jpeg|gif);)/i.test(value);
+  }
+
+  var output = '';
+  var skipDepth = 0;
+  var stack = [];
+  var parser = sax.parser(true, {xmlns: true});
+
+  parser.onerror = function (err) {
+    throw err;
+  };
+
+  parser.onopentag = function (node) {
+    var allowed = node.uri === svgNS && _.includes(svgElements, node.local);
+    if (skipDepth || !allowed || (stack.length === 0 && node.local !== 'svg')) {
+      ++skipDepth;
+      return;
+    }
+
+    var tag = '<' + node.local;
+    if (stack.length === 0)
+      tag += ' xmlns="' + svgNS + '" xmlns:xlink="' + xlinkNS + '"';
+
+    _.each(node.attributes, function (attr) {
+      var name;
+      if (attr.local === 'href' && (attr.uri === xlinkNS || attr.uri === '')) {
+        if (!isSafeHref(attr.value))
+          return;
+        name = attr.uri ? 'xlink:href' : 'href';
+      }
+      else if (attr.uri === xmlNS && attr.local === 'space')
+        name = 'xml:space';
+      else if (attr.uri === '' && _.includes(svgAttributes, attr.local))
+        name = attr.local;
+
+      if (name && isSafeValue(attr.value))
+        tag += ' ' + name + '="' + escapeXml(attr.value) + '"';
+    });
+
+    stack.push(node.local);
+    output += tag + '>';
+  };
+
+  parser.onclosetag = function () {
+    if (skipDepth) {
+      --skipDepth;
+      return;
+    }
+    output += '</' + stack.pop() + '>';
+  };
+
+  function addText(text) {
+    if (skipDepth || stack.length === 0)
+      return;
+    if (_.last(stack) === 'style' && !isSafeValue(text))
+      return;
+    output += escapeXml(text);
+  }
+  parser.ontext = addText;
+  parser.oncdata = addText;
+
+  parser.write(svg).close();
+  if (!output)
+    throw Error('No SVG element found');
+  return output + '\n';
+}
+
+function getSvgSize(svg) {
+  var root = (svg.match(/<svg\b[^>]*>/i) || [''])[0];
+  function getAttr(name) {
+    var match = root.match(new RegExp('\\s' + name + '\\s*=\\s*["\']([^"\']*)["\']', 'i'));
+    return match && match[1];
+  }
+
+  var width = parseFloat(getAttr('width'));
+  var height = parseFloat(getAttr('height'));
+  var viewBox = (getAttr('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+  if (_.isNaN(width) || _.isNaN(height)) {
+    width = viewBox[2];
+    height = viewBox[3];
+  }
+
+  return _.omit({width: width, height: height}, function (value) {
+    return !_.isFinite(value);
+  });
+}
+
+//Resource should be fetched again if it failed before, its file is missing or
+//it's older than 'maxAge' days
+function isStaleResource(entry, now, maxAge) {
+  if (entry.error || !entry.file || !fs.existsSync(entry.file))
+    return true;
+  return now - new Date(entry.fetched) > maxAge * 24 * 60 * 60 * 1000;
+}
+
+function fetchResource(url, kind, callback) {
+  getResource(url, {encoding: null, gzip: true}, function (err, response, data) {
+    if (err)
+      return callback(err);
+
+    var contentType = (response.headers['content-type'] || '').split(';')[0].trim();
+    if (kind === 'logo' && !_.startsWith(contentType, 'image/'))
+      return callback(Error('Logo has non-image content type "' + contentType + '"'));
+
+    callback(null, {contentType: contentType, data: data});
+  });
+}
+
+//Cached logo keeps URL it was downloaded from, so it can be refreshed later
+function getLogoOriginUrl(swagger) {
+  var logo = swagger.info['x-logo'];
+  if (!logo)
+    return;
+  return logo['x-origin'] ? logo['x-origin'].url : logo.url;
+}
+
+//Logo, targets of external '$ref', terms of service and external docs of spec,
+//URLs are without fragments and already cached ones are skipped
+function getExternalResources(swagger, specRootUrl) {
+  var resources = [];
+  function add(kind, url) {
+    if (!_.isString(url) || !/^https?:\/\//.test(url) || _.startsWith(url, specRootUrl))
+      return;
+    resources.push({kind: kind, url: URI(url).fragment('').toString()});
+  }
+
+  add('logo', getLogoOriginUrl(swagger));
+  add('termsOfService', swagger.info.termsOfService);
+
+  _.each(jsonPath.query(swagger, '$..externalDocs.url'), function (url) {
+    add('externalDocs', url);
+  });
+
+  var originUrl = getOriginUrl(swagger);
+  _.each(jsonPath.query(swagger, '$..["$ref"]'), function (ref) {
+    if (!_.isString(ref) || ref[0] === '#')
+      return;
+    add('ref', URI(ref).absoluteTo(originUrl).toString());
+  });
+
+  return _.uniq(resources, 'url');
+}
+
+function checkLinks(dir, command) {
+  var cache = (command.cache && readJson(linksCacheFile)) || {};
+  var now = new Date();
+
+  var links = {};
+  _.each(getSpecs(dir), function (swagger, filename) {
+    _.each(getSpecLinks(swagger), function (kinds, url) {
+      var link = links[url] = links[url] || {url: url, kinds: [], specs: [], providers: []};
+      link.kinds = _.union(link.kinds, kinds);
+      link.specs.push(filename);
+      link.providers = _.union(link.providers, [getProviderName(swagger)]);
+    });
+  });
+
+  //requests to the same host are sequential and delayed
+  var hosts = _.groupBy(_.keys(links), function (url) {
+    return URI(url).host();
+  });
+
+  async.forEachOfLimit(hosts, command.jobs, function (urls, host, asyncCb) {
+    async.forEachSeries(urls, function (url, seriesCb) {
+      var cached = cache[url];
+      if (cached && now - new Date(cached.checked) < command.maxAge * 60 * 60 * 1000) {
+        _.extend(links[url], _.omit(cached, 'checked'));
+        return seriesCb(null);
+      }
+
+      checkLink(url, command.timeout, function (result) {
+        cache[url] = _.extend({checked: now.toISOString()}, result);
+        _.extend(links[url], result);
+        setTimeout(seriesCb, command.delay);
+      });
+    }, asyncCb);
+  }, function () {
+    if (command.cache)
+      fs.writeFileSync(linksCacheFile, JSON.stringify(cache));
+
+    //shared links, e.g. license URLs, are reported under every provider using them
+    var report = {};
+    _.each(_.sortBy(_.values(links), 'url'), function (link) {
+      _.each(link.providers, function (provider) {
+        report[provider] = (report[provider] || []).concat(link);
+      });
+    });
+    if (command.broken) {
+      report = _(report).mapValues(function (links) {
+        return _.reject(links, isLinkOk);
+      }).omit(_.isEmpty).value();
+    }
+
+    if (command.json)
+      console.log(JSON.stringify(report, null, 2));
+    else
+      console.log(linksReportToString(report));
+
+    if (!_.every(links, isLinkAlive))
+      process.exitCode = errExitCode;
+  });
+}
+
+//Map of URLs to kinds of places where they are used
+function getSpecLinks(swagger) {
+  var result = {};
+  function add(kind, url) {
+    if (!_.isString(url) || !/^https?:\/\//.test(url))
+      return;
+    url = URI(url).fragment('').toString();
+    result[url] = _.union(result[url] || [], [kind]);
+  }
+
+  _.each(linkPaths, function (path, kind) {
+    _.each(jsonPath.query(swagger, path), function (url) {
+      add(kind, url);
+    });
+  });
+  add('baseUrl', getBaseUrl(swagger));
+  return result;
+}
+
+//Follow redirects manually to report every redirect target
+function checkLink(url, timeout, callback) {
+  var redirects = [];
+  var maxRedirects = 5;
+
+  function check(url) {
+    var options = {method: 'GET', url: url, followRedirect: false, timeout: timeout};
+    new Request(options, function (err, response) {
+      if (err)
+        return callback({redirects: redirects, error: err.message});
+
+      var location = response.headers.location;
+      var status = response.statusCode;
+      if (status < 300 || status >= 400 || !location)
+        return callback({status: status, redirects: redirects});
+
+      location = URI(location).absoluteTo(url).toString();
+      redirects.push({status: status, url: location});
+      if (redirects.length > maxRedirects)
+        return callback({status: status, redirects: redirects, error: 'Too many redirects'});
+      check(location);
+    });
+  }
+  check(url);
+}
+
+//API roots often answer 401, 404 or 405 by design, so only server errors count for them
+function isLinkAlive(link) {
+  if (link.error)
+    return false;
+  return link.status < (_.isEqual(link.kinds, ['baseUrl']) ? 500 : 400);
+}
+
+function isLinkOk(link) {
+  return isLinkAlive(link) && _.isEmpty(link.redirects);
+}
+
+function linksReportToString(report) {
+  var lines = [];
+  _.each(report, function (links, provider) {
+    lines.push(provider + ':');
+    _.each(links, function (link) {
+      var line = '  ' + _.padRight(link.error ? 'ERR' : link.status, 4) + link.url +
+        ' (' + link.kinds.join(', ') + ')';
+      _.each(link.redirects, function (redirect) {
+        line += '\n      ' + redirect.status + ' -> ' + redirect.url;
+      });
+      if (link.error)
+        line += '\n      ' + link.error;
+      lines.push(line);
+    });
+  });
+
+  var all = _.uniq(_.flatten(_.values(report)));
+  lines.push(all.length + ' links, ' + _.reject(all, isLinkAlive).length + ' broken, ' +
+    _.filter(all, function (link) {
+      return isLinkAlive(link) && !_.isEmpty(link.redirects);
+    }).length + ' redirected');
+  return lines.join('\n');
+}
+
+function getResource(url, options, callback) {
+  if (_.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options.method = 'GET';
+  options.url = url;
+  new Request(options, function(err, response, data) {
+    if (err)
+      return callback(new Error('Can not GET "' + url +'": ' + err));
+    if (response.statusCode !== 200)
+      return callback(new Error('Can not GET "' + url +'": ' + response.statusMessage));
+    console.log(url);
+    callback(null, response, data);
+  });
+}
+
+function generateList() {
+  var list = {};
+
+  function addSpec(swagger, removed) {
+    var id = getProviderName(swagger);
+    assert(id.indexOf(':') === -1);
+
+    var service = getServiceName(swagger);
+    if (!_.isUndefined(service)) {
+      assert(service.indexOf(':') === -1);
+      id += ':' + service;
+    }
+
+    var version = swagger.info.version;
+    if (_.isUndefined(list[id]))
+      list[id] = { versions: {}, removed: {} };
+
+    //spec was moved to new location
+    if (removed && list[id].versions[version])
+      return;
+
+    list[id].versions[version] = swagger;
+    if (removed)
+      list[id].removed[version] = removed;
+  }
+
+  _.each(getSpecs(), function (swagger) {
+    addSpec(swagger);
+  });
+  _.each(getRemovedSpecs(), function (spec) {
+    addSpec(spec.swagger, spec.removed);
+  });
+
+  _.each(list, function (api, id) {
+    api.versions = sortVersionsMap(api.versions);
+
+    var versions = _.omit(api.versions, _.keys(api.removed));
+    if (_.isEmpty(versions)) {
+      api.status = 'removed';
+      api.preferred = _.max(_.keys(api.removed), function (version) {
+        return api.removed[version];
+      });
+    }
+    else
+      api.preferred = selectPreferredVersion(versions);
+  });
+
+  return list;
+}
+
+//Status of API version: undefined for existing spec, 'deprecated' for
+//removed version of existing API and 'removed' if whole API was removed
+function getVersionStatus(api, version) {
+  if (api.removed[version])
+    return api.status || 'deprecated';
+}
+
+//Last content of specs deleted from collection, with time of deletion
+function getRemovedSpecs() {
+  var log = exec('git -c core.quotePath=false log --diff-filter=D --name-only ' +
+    '--format=%x00%H%x09%aD -- \'*swagger.json\'');
+
+  var result = {};
+  _.each(parseGitLog(log), function (entry) {
+    _.each(entry.files, function (filename) {
+      if (result[filename] || fs.existsSync(filename))
+        return;
+
+      var swagger = gitShowJson(entry.commit + '^', filename);
+      if (swagger)
+        result[filename] = {swagger: swagger, removed: entry.date};
+    });
+  });
+  return result;
+}
+
+function generateAPI(specRootUrl) {
+  var apis = generateList();
+  generateSpecFormats(apis, function (failures) {
+    generateAPIFiles(specRootUrl, apis, failures);
+  });
+}
+
+function generateAPIFiles(specRootUrl, apis, failures) {
+  var list = {};
+  var changes = {};
+  var metrics = {
+    numProviders: 0,
+    numAPIs: 0,
+    numVersions: 0,
+    numEndpoints: 0
+  };
+
+  _.each(apis, function (api, id) {
+    var dir = id.replace(/:/, '/');
+    list[id] = {
+      preferred: api.preferred,
+      versions: {}
+    };
+    changes[id] = {};
+    _.each(api.versions, function (swagger, version) {
+      var filename = dir + '/' + version + '/swagger.json';
+      changes[id][version] = getSpecChanges(filename);
+
+      var versionObj = list[id].versions[version] = {
+        info: swagger.info,
+        added: gitLogDate('--follow --diff-filter=A -1', filename),
+        updated: gitLogDate('-1', filename)
+      };
+
+      var status = getVersionStatus(api, version);
+      if (status) {
+        versionObj.status = status;
+        versionObj.removed = api.removed[version];
+      }
+      else {
+        versionObj.swaggerUrl = specRootUrl + getSwaggerPath(swagger);
+        var failed = failures[getSwaggerPath(swagger)] || {};
+        if (!failed['swagger.yaml'])
+          versionObj.swaggerYamlUrl = specRootUrl + getSwaggerPath(swagger, 'swagger.yaml');
+        if (!failed.openapi)
+          versionObj.openapiUrl = specRootUrl + getSwaggerPath(swagger, 'openapi.json');
+        ++metrics.numVersions;
+        metrics.numEndpoints += _.size(getOperations(swagger));
+      }
+
+      if (swagger.externalDocs)
+        versionObj.externalDocs = swagger.externalDocs;
+    });
+    list[id].added = _(list[id].versions).values().pluck('added').min();
+    if (api.status) {
+      list[id].status = api.status;
+      list[id].removed = _(api.removed).values().max();
+    }
+    else
+      ++metrics.numAPIs;
+  });
+
+  console.log('Generated list for ' + _.size(list) + ' API specs.');
+
+  //versions are ordered from oldest to newest so we can't use 'saveJson'
+  list = sortobject(list);
+  _.each(list, function (api) {
+    api.versions = sortVersionsMap(api.versions);
+  });
+  saveFile('api/v1/list.json', JSON.stringify(list, null, 2) + '\n');
+
+  var providers = {};
+  _.each(list, function (api, id) {
+    var path = id.replace(/:/, '/') + '.json';
+    saveFile('api/v1/specs/' + path, JSON.stringify(api, null, 2) + '\n');
+
+    var provider = id.split(':')[0];
+    providers[provider] = providers[provider] || {apis: {}};
+    providers[provider].apis[id] = specRootUrl + 'api/v1/specs/' + path;
+  });
+  saveJson('api/v1/providers.json', providers);
+
+  metrics.numProviders = _.size(_.pick(providers, function (provider) {
+    return _.some(_.keys(provider.apis), function (id) {
+      return !list[id].status;
+    });
+  }));
+  saveJson('api/v1/metrics.json', metrics);
+  saveFile(searchIndexFile, JSON.stringify(buildSearchIndex(apis, specRootUrl)));
+
+  _.each(changes, function (versions, id) {
+    saveJson('api/v1/changes/' + id.replace(/:/, '/') + '.json', versions);
+  });
+  saveFile('api/v1/changes.atom', generateChangesFeed(specRootUrl, list, changes));
+}
+
+//Inverted index over preferred versions of existing APIs: 'docs' has description
+//and facet values of every API, 'terms' maps term to pairs of doc index and score
+function buildSearchIndex(apis, specRootUrl) {
+  var index = {docs: [], terms: {}};
+
+  _.each(apis, function (api, id) {
+    if (api.status)
+      return;
+
+    var swagger = api.versions[api.preferred];
+    var docIndex = index.docs.length;
+    index.docs.push({
+      id: id,
+      version: api.preferred,
+      title: swagger.info.title,
+      swaggerUrl: specRootUrl + getSwaggerPath(swagger),
+      facets: getSearchFacets(swagger)
+    });
+
+    var scores = {};
+    _.each(getSearchText(swagger), function (text, field) {
+      _.each(tokenize(text), function (term) {
+        scores[term] = (_.has(scores, term) ? scores[term] : 0) + searchFields[field];
+      });
+    });
+
+    _.each(scores, function (score, term) {
+      if (!_.has(index.terms, term))
+        index.terms[term] = [];
+      index.terms[term].push([docIndex, score]);
+    });
+  });
+
+  return index;
+}
+
+function getSearchText(swagger) {
+  var operations = getOperations(swagger);
+  return {
+    title: swagger.info.title,
+    description: swagger.info.description,
+    tags: _.pluck(swagger.tags, 'name').join(' '),
+    summaries: _.pluck(operations, 'summary').join(' '),
+    paths: _.keys(swagger.paths).join(' '),
+    definitions: _.keys(swagger.definitions).join(' ')
+  };
+}
+
+function getSearchFacets(swagger) {
+  var auth = _.uniq(_.pluck(swagger.securityDefinitions, 'type'));
+  return {
+    provider: getProviderName(swagger),
+    format: getOrigin(swagger).format,
+    auth: _.isEmpty(auth) ? ['none'] : auth,
+    host: swagger.host
+  };
+}
+
+//Split camelCase and snake_case identifiers so definitions and paths are searchable by words
+function tokenize(text) {
+  text = (text || '').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return _.filter(text.split(/[^a-z0-9]+/), function (token) {
+    return token.length > 1;
+  });
+}
+
+function searchCollection(query, command) {
+  var index = readJson(command.index) || buildSearchIndex(generateList(), '');
+  var results = searchIndex(index, query.join(' '), _.pick(command, searchFacets));
+
+  _.each(_.take(results, command.limit), function (result) {
+    var doc = result.doc;
+    console.log(_.padRight(result.score, 6) + doc.id + ' ' + doc.version + ' - ' + doc.title);
+  });
+  console.log(results.length + ' results');
+
+  if (command.facets)
+    console.log(facetsToString(countFacets(_.pluck(results, 'doc'))));
+}
+
+//Every query term should match beginning of some indexed term, results are
+//sorted by sum of scores
+function searchIndex(index, query, facets) {
+  var scores = null;
+  _.each(tokenize(query), function (token) {
+    var termScores = {};
+    _.each(index.terms, function (entries, term) {
+      if (!_.startsWith(term, token))
+        return;
+      _.each(entries, function (entry) {
+        termScores[entry[0]] = (termScores[entry[0]] || 0) + entry[1];
+      });
+    });
+
+    if (scores === null)
+      scores = termScores;
+    else {
+      scores = _.transform(_.pick(scores, _.keys(termScores)), function (result, score, doc) {
+        result[doc] = score + termScores[doc];
+      });
+    }
+  });
+
+  //empty query matches everything
+  if (scores === null) {
+    scores = _.transform(index.docs, function (result, doc, docIndex) {
+      result[docIndex] = 0;
+    }, {});
+  }
+
+  var results = _.map(scores, function (score, docIndex) {
+    return {doc: index.docs[docIndex], score: score};
+  });
+
+  results = _.filter(results, function (result) {
+    return _.every(facets, function (value, facet) {
+      return _.includes([].concat(result.doc.facets[facet]), value);
+    });
+  });
+
+  return _.sortByOrder(results, ['score', 'doc.id'], [false, true]);
+}
+
+function countFacets(docs) {
+  var counts = _.zipObject(searchFacets, _.map(searchFacets, function () {
+    return {};
+  }));
+  _.each(docs, function (doc) {
+    _.each(doc.facets, function (values, facet) {
+      _.each(_.compact([].concat(values)), function (value) {
+        counts[facet][value] = (counts[facet][value] || 0) + 1;
+      });
+    });
+  });
+  return counts;
+}
+
+function facetsToString(counts) {
+  return _.map(counts, function (values, facet) {
+    var pairs = _.sortByOrder(_.pairs(values), [1, 0], [false, true]);
+    return facet + ': ' + _.map(pairs, function (pair) {
+      return pair[0] + ' (' + pair[1] + ')';
+    }).join(', ');
+  }).join('\n');
+}
+
+//Write 'swagger.yaml', 'openapi.json' and 'openapi.yaml' next to every existing spec,
+//calls back with map of spec paths to errors of OpenAPI conversion
+function generateSpecFormats(apis, callback) {
+  var specs = [];
+  _.each(apis, function (api) {
+    _.each(api.versions, function (swagger, version) {
+      if (!getVersionStatus(api, version))
+        specs.push(swagger);
+    });
+  });
+
+  var failures = {};
+  async.forEachSeries(specs, function (swagger, asyncCb) {
+    var path = getSwaggerPath(swagger);
+    function fail(format, err) {
+      console.error('Can not convert "' + path + '" to ' + format + ': ' + err);
+      failures[path] = failures[path] || {};
+      failures[path][format] = err;
+    }
+
+    try {
+      saveYaml(getSwaggerPath(swagger, 'swagger.yaml'), swagger);
+    }
+    catch (e) {
+      fail('swagger.yaml', e);
+    }
+
+    convertToOpenAPI(swagger, function (err, openapi) {
+      try {
+        if (err)
+          throw err;
+        if (!_.isPlainObject(openapi))
+          throw Error('converter returned no spec');
+
+        var json = Json2String(openapi);
+        var yamlData = toYaml(openapi);
+        saveFile(getSwaggerPath(swagger, 'openapi.json'), json);
+        saveFile(getSwaggerPath(swagger, 'openapi.yaml'), yamlData);
+      }
+      catch (e) {
+        fail('openapi', e);
+      }
+      asyncCb(null);
+    });
+  }, function () {
+    if (!_.isEmpty(failures))
+      console.error('Failed to convert ' + _.size(failures) + ' specs');
+    callback(failures);
+  });
+}
+
+//Converter may throw or call back synchronously, so 'callback' is called
+//outside of 'try' to not mistake its own exceptions for conversion errors
+function convertToOpenAPI(swagger, callback) {
+  var done = _.once(function (err, openapi) {
+    setImmediate(callback, err, openapi);
+  });
+
+  try {
+    converter.getSpec(_.cloneDeep(swagger), 'swagger_2', function (err, spec) {
+      if (err)
+        return done(err);
+
+      spec.convertTo('openapi_3', null, function (err, openapi) {
+        done(err, openapi && openapi.spec);
+      });
+    });
+  }
+  catch (e) {
+    done(e);
+  }
+}
+
+//Changes of spec in every commit that touched it, newest first
+function getSpecChanges(filename) {
+  var previous = {};
+  var history = _.map(gitLogHistory(filename).reverse(), function (entry) {
+    var swagger = gitShowJson(entry.commit, entry.filename) || {};
+    var result = {
+      date: entry.date,
+      commit: entry.commit,
+      operations: summarizeMapChanges(getOperations(previous), getOperations(swagger)),
+      definitions: summarizeMapChanges(previous.definitions, swagger.definitions)
+    };
+    previous = swagger;
+    return result;
+  });
+  return history.reverse();
+}
+
+function summarizeMapChanges(oldMap, newMap) {
+  var oldKeys = _.keys(oldMap);
+  var newKeys = _.keys(newMap);
+  return {
+    added: _.difference(newKeys, oldKeys),
+    removed: _.difference(oldKeys, newKeys),
+    modified: _.filter(_.intersection(oldKeys, newKeys), function (key) {
+      return !_.isUndefined(jsondiffpatch.diff(oldMap[key], newMap[key]));
+    })
+  };
+}
+
+function changeSummaryToString(change) {
+  return _.map(['operations', 'definitions'], function (field) {
+    var counts = _.map(change[field], function (keys, type) {
+      return keys.length + ' ' + type;
+    });
+    return field + ': ' + counts.join(', ');
+  }).join('; ');
+}
+
+function generateChangesFeed(specRootUrl, list, changes) {
+  var feedUrl = specRootUrl + 'api/v1/changes.atom';
+  var entries = [];
+
+  _.each(changes, function (versions, id) {
+    _.each(versions, function (history, version) {
+      _.each(history, function (change) {
+        entries.push({
+          id: feedUrl + '#' + id + '/' + version + '/' + change.commit,
+          title: id + ' ' + version,
+          link: list[id].versions[version].swaggerUrl ||
+            specRootUrl + 'api/v1/changes/' + id.replace(/:/, '/') + '.json',
+          updated: change.date,
+          summary: changeSummaryToString(change)
+        });
+      });
+    });
+  });
+  entries = _.sortByOrder(entries, ['updated'], ['desc']).slice(0, 100);
+
+  var updated = _.isEmpty(entries) ? new Date() : entries[0].updated;
+  var result = '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<feed xmlns="http://www.w3.org/2005/Atom">\n' +
+    '  <title>APIs.guru changes</title>\n' +
+    '  <id>' + escapeXml(feedUrl) + '</id>\n' +
+    '  <link rel="self" href="' + escapeXml(feedUrl) + '"/>\n' +
+    '  <updated>' + updated.toISOString() + '</updated>\n';
+
+  _.each(entries, function (entry) {
+    result += '  <entry>\n' +
+      '    <id>' + escapeXml(entry.id) + '</id>\n' +
+      '    <title>' + escapeXml(entry.title) + '</title>\n' +
+      '    <link href="' + escapeXml(entry.link) + '"/>\n' +
+      '    <updated>' + entry.updated.toISOString() + '</updated>\n' +
+      '    <summary>' + escapeXml(entry.summary) + '</summary>\n' +
+      '  </entry>\n';
+  });
+  return result + '</feed>\n';
+}
+
+function escapeXml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function generateCSV(command) {
+  var columns = getCSVColumns(command.columns);
+  var table = [_.keys(columns)];
+
+  _.forEach(generateList(), function (api, id) {
+    var versions = [api.preferred];
+    if (command.allVersions)
+      versions = _.keys(api.versions);
+
+    _.each(versions, function (version) {
+      var swagger = api.versions[version];
+      table.push(_.map(columns, function (column) {
+        return csvValue(getCSVColumnValue(column, swagger, api, id));
+      }));
+    });
+  });
+
+  csvStringify(table, function (err, output) {
+    assert(!err, 'Failed stringify: ' + err);
+    saveFile(command.output, output);
+  });
+}
+
+//Column spec is JSON file with list of columns or map of names to columns,
+//or comma-separated list. Every column is used as its own name if not mapped.
+function getCSVColumns(spec) {
+  if (_.isUndefined(spec))
+    return csvColumns;
+
+  var columns = fs.existsSync(spec) ? readJson(spec) : splitCSVColumns(spec);
+  if (_.isArray(columns))
+    columns = _.zipObject(columns, columns);
+
+  _.each(columns, function (column, name) {
+    assert(column[0] === '/' || column[0] === '$' || csvComputedColumns[column],
+      'Unknown column "' + name + '": ' + column);
+  });
+  return columns;
+}
+
+//Commas inside quotes, brackets or parentheses are part of column,
+//e.g. '/info/title,$..["url","name"]' is two columns
+function splitCSVColumns(list) {
+  var columns = [];
+  var column = '';
+  var depth = 0;
+  var quote = null;
+
+  for (var i = 0; i < list.length; ++i) {
+    var char = list[i];
+    if (quote) {
+      if (char === '\\') {
+        column += char + list[++i];
+        continue;
+      }
+      if (char === quote)
+        quote = null;
+    }
+    else if (char === '"' || char === '\'')
+      quote = char;
+    else if (char === '[' || char === '(')
+      ++depth;
+    else if (char === ']' || char === ')')
+      --depth;
+    else if (char === ',' && depth === 0) {
+      columns.push(column);
+      column = '';
+      continue;
+    }
+    column += char;
+  }
+  assert(!quote && depth === 0, 'Unbalanced quotes or brackets in columns: ' + list);
+  columns.push(column);
+  return columns;
+}
+
+function getCSVColumnValue(column, swagger, api, id) {
+  if (column[0] === '/')
+    return jp.has(swagger, column) ? jp(swagger, column) : undefined;
+
+  if (column[0] === '$') {
+    var values = jsonPath.query(swagger, column);
+    return values.length > 1 ? values : values[0];
+  }
+
+  return csvComputedColumns[column](swagger, api, id);
+}
+
+function csvValue(value) {
+  if (_.isDate(value))
+    return _.isNaN(value.getTime()) ? undefined : value.toISOString();
+  if (_.isArray(value) && !_.some(value, _.isObject))
+    return value.join(', ');
+  if (_.isObject(value))
+    return JSON.stringify(value);
+  return value;
+}
+
+function generateAPIsJSON(specRootUrl, command) {
+  var collection = {
+    name: 'APIs.guru',
+    description: 'Wikipedia for Web APIs',
+    image: 'https://apis-guru.github.io/api-models/branding/logo_horizontal.svg',
+    added: '2015-10-15',
+    modified: new Date().toISOString().substring(0, 10),
+    url: specRootUrl + 'apis.json',
+    specificationVersion: '0.15',
+    apis: [],
+    maintainers: [{
+      FN: 'APIs.guru',
+      email: 'founders@APIs.guru',
+      photo: 'https://apis-guru.github.io/api-models/branding/logo_horizontal.svg'
+    }]
+  };
+
+  var providers = {};
+  _.each(generateList(), function (api, id) {
+    var entry = apiToAPIsJSON(api, specRootUrl);
+    collection.apis.push(entry);
+
+    var provider = id.split(':')[0];
+    providers[provider] = providers[provider] || [];
+    providers[provider].push(entry);
+  });
+
+  if (command.perProvider) {
+    collection.include = [];
+    _.each(providers, function (apis, provider) {
+      var url = specRootUrl + provider + '/apis.json';
+      collection.include.push({name: provider, url: url});
+
+      saveJson(provider + '/apis.json', _.extend(_.omit(collection, 'include'), {
+        name: provider,
+        description: 'APIs of ' + provider + ' in APIs.guru collection',
+        url: url,
+        apis: apis
+      }));
+    });
+  }
+
+  saveJson('apis.json', collection);
+}
+
+//Single APIs.json entry for all versions, top-level fields come from preferred one
+function apiToAPIsJSON(api, specRootUrl) {
+  var swagger = api.versions[api.preferred];
+  var info = swagger.info;
+  var entry = {
+    name: info.title,
+    description: info.description,
+    image: info['x-logo'] && info['x-logo'].url,
+    humanUrl: swagger.externalDocs && swagger.externalDocs.url,
+    baseUrl: getBaseUrl(swagger),
+    version: info.version,
+    tags: getAPITags(api),
+    properties: []
+  };
+
+  var contact = info.contact;
+  if (contact) {
+    entry.contact = [{
+      FN: contact.name,
+      email: contact.email,
+      url: contact.url
+    }];
+  }
+
+  _.each(api.versions, function (swagger, version) {
+    var status = getVersionStatus(api, version);
+    if (status) {
+      entry['x-removed'] = entry['x-removed'] || {};
+      entry['x-removed'][version] = api.removed[version];
+      return;
+    }
+
+    entry.properties.push({
+      type: 'Swagger',
+      url: specRootUrl + getSwaggerPath(swagger),
+      'x-version': version
+    });
+  });
+
+  if (api.status)
+    entry['x-status'] = api.status;
+
+  var links = {
+    'x-apiClientRegistration': info['x-apiClientRegistration'],
+    'TermsOfService': info.termsOfService && {url: info.termsOfService},
+    'x-license': info.license
+  };
+  _.each(links, function (link, type) {
+    if (link && link.url)
+      entry.properties.push({type: type, url: link.url});
+  });
+
+  return entry;
+}
+
+//Swagger tags and collection categories of all API versions, categories are
+//set in 'info.x-apisguru-categories' through patch.json of provider or spec
+function getAPITags(api) {
+  var tags = [];
+  _.each(api.versions, function (swagger) {
+    tags = tags.concat(_.pluck(swagger.tags, 'name'), swagger.info['x-apisguru-categories'] || []);
+  });
+  return _.uniq(_.compact(tags));
+}
+
+//Default scheme is the one used to access spec, see Swagger specification
+function getBaseUrl(swagger) {
+  if (!swagger.host)
+    return;
+
+  var scheme = _.first(swagger.schemes) || URI(getOriginUrl(swagger)).scheme() || 'http';
+  return scheme + '://' + swagger.host + (swagger.basePath || '');
+}
+
+//Commits that changed file compared to their first parent, with file name at
+//the moment of commit. Only first parents are followed, so every entry is
+//a change to the previous one and merges include changes from their branches.
+function gitLogHistory(filename) {
+  var log = exec('git -c core.quotePath=false log --follow --first-parent -m --name-only ' +
+    '--format=%x00%H%x09%aD -- \'' + filename + '\'');
+
+  return _.map(parseGitLog(log), function (entry) {
+    entry.filename = entry.files[0] || filename;
+    return entry;
+  });
+}
+
+//Parse output of 'git log --name-only --format=%x00%H%x09%aD'
+function parseGitLog(log) {
+  return _.map(_.compact(log.toString().split('\0')), function (entry) {
+    var lines = _.compact(entry.split('\n'));
+    var header = lines[0].split('\t');
+    return {
+      commit: header[0],
+      date: new Date(header[1]),
+      files: _.rest(lines)
+    };
+  });
+}
+
+function gitLogDate(options, filename) {
+  var result = exec('git log --format=%aD ' + options + ' -- \'' + filename + '\'');
+  result = result.toString();
+  return new Date(result);
+}
+
+//Handle all version formats used in collection, e.g. 'v1beta2', 'v1.4',
+//'alpha-0.1.0', 'reports_v1', 'v1sandbox', '1.0.0.', '1.1.17 beta (2015-10-20)'
+function parseVersion(version) {
+  var str = version.toLowerCase();
+  var result = {prefix: '', numbers: [], stage: 'release', stageNumber: 0, date: ''};
+
+  var date = str.match(/\d{4}-\d{2}-\d{2}/);
+  if (date) {
+    result.date = date[0];
+    str = str.replace(/\(.*\)/, '').replace(date[0], '');
+  }
+
+  var prefix = str.match(/^(.+)_(?=v?\d|alpha|beta)/);
+  if (prefix) {
+    result.prefix = prefix[1];
+    str = str.substring(prefix[0].length);
+  }
+
+  str = str.replace(/^v(?=\d)/, '');
+  var numbers = str.match(/\d+(?:\.\d+)*/);
+  if (numbers) {
+    result.numbers = _.map(numbers[0].split('.'), Number);
+    str = str.replace(numbers[0], '');
+  }
+
+  var stage = str.match(/([a-z]+)(\d*)/);
+  if (stage) {
+    result.stage = stage[1] === 'b' ? 'beta' : stage[1];
+    result.stageNumber = Number(stage[2]);
+  }
+  return result;
+}
+
+//Pre-release stages go first, then unknown suffixes (e.g. 'sandbox'), then release
+function getStageRank(stage) {
+  if (stage === 'release')
+    return versionStages.length + 1;
+
+  var index = versionStages.indexOf(stage);
+  return index === -1 ? versionStages.length : index;
+}
+
+function compareVersions(ver1, ver2) {
+  var parts1 = parseVersion(ver1);
+  var parts2 = parseVersion(ver2);
+
+  var length = Math.max(parts1.numbers.length, parts2.numbers.length);
+  for (var i = 0; i < length; ++i) {
+    var diff = (parts1.numbers[i] || 0) - (parts2.numbers[i] || 0);
+    if (diff !== 0)
+      return diff;
+  }
+
+  return (getStageRank(parts1.stage) - getStageRank(parts2.stage)) ||
+    (parts1.stageNumber - parts2.stageNumber) ||
+    compareStrings(parts1.date, parts2.date) ||
+    compareStrings(parts1.stage, parts2.stage) ||
+    compareStrings(parts1.prefix, parts2.prefix) ||
+    compareStrings(ver1, ver2);
+}
+
+function compareStrings(str1, str2) {
+  if (str1 === str2)
+    return 0;
+  return str1 < str2 ? -1 : 1;
+}
+
+function sortVersions(versions) {
+  return versions.slice().sort(compareVersions);
+}
+
+//Object keys order is preserved by JSON.stringify
+function sortVersionsMap(versions) {
+  return _.transform(sortVersions(_.keys(versions)), function (result, version) {
+    result[version] = versions[version];
+  }, {});
+}
+
+function isStableVersion(version) {
+  return parseVersion(version).stage === 'release';
+}
+
+//Version marked with 'x-preferred' or latest stable one
+function selectPreferredVersion(versions) {
+  var marked = _.filter(_.keys(versions), function (version) {
+    return versions[version].info['x-preferred'] === true;
+  });
+  assert(marked.length <= 1, 'Multiple preferred versions: ' + marked.join(', '));
+  if (!_.isEmpty(marked))
+    return marked[0];
+
+  var candidates = _.filter(_.keys(versions), function (version) {
+    return versions[version].info['x-preferred'] !== false;
+  });
+  if (_.isEmpty(candidates))
+    candidates = _.keys(versions);
+
+  var stable = _.filter(candidates, isStableVersion);
+  return _.last(sortVersions(_.isEmpty(stable) ? candidates : stable));
+}
+
+function validateCollection(dir, command) {
+  var formatters = {
+    text: reportToText,
+    json: reportToJson,
+    junit: reportToJUnit
+  };
+  var formatter = formatters[command.format];
+  if (!formatter) {
+    console.error('Unknown report format: ' + command.format);
+    process.exitCode = errExitCode;
+    return;
+  }
+
+  var specs = getSpecs(dir);
+  if (command.changed)
+    specs = _.pick(specs, getChangedSpecs(command.changed, _.keys(specs)));
+
+  //results are cached by content of spec so unchanged specs aren't validated again,
+  //key also includes validator version and lint rules so upgrades invalidate cache
+  var cache = (command.cache && readJson(validationCacheFile)) || {};
+  var cacheSalt = getValidationCacheSalt();
+  var hashes = _.mapValues(specs, function (swagger, filename) {
+    return crypto.createHash('sha1').update(cacheSalt)
+      .update(fs.readFileSync(filename)).digest('hex');
+  });
+  var uncached = _.filter(_.keys(specs), function (filename) {
+    return !_.has(cache, hashes[filename]);
+  });
+
+  runValidationWorkers(uncached, command.jobs, function (results) {
+    if (command.cache) {
+      _.each(results, function (result, filename) {
+        if (!result.crashed)
+          cache[hashes[filename]] = result;
+      });
+      fs.writeFileSync(validationCacheFile, JSON.stringify(cache));
+    }
+
+    var report = [];
+    _.each(specs, function (swagger, filename) {
+      var result = results[filename] || cache[hashes[filename]];
+      report = report.concat(
+        validationToReport(filename, 'error', result.errors),
+        validationToReport(filename, 'warning', result.warnings),
+        lintSpec(swagger, filename)
+      );
+    });
+    console.log(formatter(report, _.keys(specs)));
+
+    if (_.some(report, {severity: 'error'}))
+      process.exitCode = errExitCode;
+  });
+}
+
+function getValidationCacheSalt() {
+  var rules = _.mapValues(lintRules, function (rule) {
+    return [rule.severity, rule.description, rule.check.toString()];
+  });
+  var rulesHash = crypto.createHash('sha1').update(JSON.stringify(rules)).digest('hex');
+  return require('api-spec-converter/package.json').version + ':' + rulesHash + ':';
+}
+
+//Specs affected by changes in their own or parent directories files
+function getChangedSpecs(rev, filenames) {
+  var changed = exec('git -c core.quotePath=false diff -z --name-only ' + rev +
+    ' -- \'*swagger.json\' \'*patch.json\' \'*override.json\' \'*fixup.json\' \'*lint.json\'');
+  var dirs = _.map(_.compact(changed.toString().split('\0')), function (filename) {
+    return Path.dirname(filename) + '/';
+  });
+
+  return _.filter(filenames, function (filename) {
+    return _.some(dirs, function (dir) {
+      return _.startsWith(filename, dir);
+    });
+  });
+}
+
+//Validate specs in child processes, see 'validateWorker'
+function runValidationWorkers(filenames, jobs, callback) {
+  var results = {};
+  var queue = filenames.slice();
+  var running = Math.min(jobs, queue.length);
+
+  if (running === 0)
+    return callback(results);
+
+  function startWorker() {
+    var worker = fork(__filename, ['validate-worker']);
+    var current;
+
+    function next() {
+      current = queue.shift();
+      if (!_.isUndefined(current))
+        return worker.send(current);
+
+      worker.disconnect();
+      if (--running === 0)
+        callback(results);
+    }
+
+    worker.on('message', function (message) {
+      results[message.filename] = message.result;
+      next();
+    });
+    worker.on('exit', function (code) {
+      if (code === 0 || _.isUndefined(current))
+        return;
+
+      results[current] = {
+        crashed: true,
+        errors: [{code: 'VALIDATOR_CRASHED', message: 'Worker exited with code ' + code, path: []}]
+      };
+      startWorker();
+    });
+    next();
+  }
+
+  _.times(running, startWorker);
+}
+
+function validateWorker() {
+  process.on('message', function (filename) {
+    validateSwagger(readJson(filename), function (errors, warnings) {
+      process.send({
+        filename: filename,
+        result: {errors: errors, warnings: warnings}
+      });
+    });
+  });
+}
+
+function validationToReport(filename, severity, errors) {
+  return _.map(errors, function (error) {
+    return {
+      spec: filename,
+      severity: severity,
+      code: error.code,
+      pointer: jp.compile(error.path || []),
+      message: error.message
+    };
+  });
+}
+
+function getReportSummary(report, specs) {
+  return {
+    specs: specs.length,
+    severities: _.countBy(report, 'severity'),
+    codes: _.countBy(report, 'code'),
+    providers: _.countBy(report, function (entry) {
+      return entry.spec.split('/')[0];
+    })
+  };
+}
+
+function reportToText(report, specs) {
+  var columns = ['severity', 'code', 'spec', 'pointer', 'message'];
+  var widths = _.map(columns, function (column) {
+    return _.max(_.map(report, function (entry) {
+      return String(entry[column]).length;
+    }).concat(column.length));
+  });
+
+  function formatRow(values) {
+    return _.map(values, function (value, index) {
+      return _.padRight(value, widths[index]);
+    }).join(' | ').trim();
+  }
+
+  var lines = [];
+  if (!_.isEmpty(report)) {
+    lines.push(formatRow(columns));
+    _.each(report, function (entry) {
+      lines.push(formatRow(_.map(columns, _.propertyOf(entry))));
+    });
+    lines.push('');
+  }
+
+  var summary = getReportSummary(report, specs);
+  lines.push('Checked ' + summary.specs + ' specs: ' + (_.map(summary.severities, function (count, severity) {
+    return count + ' ' + severity + '(s)';
+  }).join(', ') || 'no problems'));
+
+  _.each(['codes', 'providers'], function (field) {
+    if (_.isEmpty(summary[field]))
+      return;
+
+    lines.push('By ' + field.replace(/s$/, '') + ':');
+    _.each(summary[field], function (count, key) {
+      lines.push('  ' + key + ': ' + count);
+    });
+  });
+  return lines.join('\n');
+}
+
+function reportToJson(report, specs) {
+  return Json2String({
+    summary: getReportSummary(report, specs),
+    specs: _.mapValues(_.groupBy(report, 'spec'), function (entries) {
+      return _.map(entries, function (entry) {
+        return _.omit(entry, 'spec');
+      });
+    })
+  });
+}
+
+//One test suite per provider with test case for every spec
+function reportToJUnit(report, specs) {
+  var bySpec = _.groupBy(report, 'spec');
+  var byProvider = _.groupBy(specs, function (filename) {
+    return filename.split('/')[0];
+  });
+
+  var result = '<?xml version="1.0" encoding="utf-8"?>\n<testsuites>\n';
+  _.each(byProvider, function (filenames, provider) {
+    var failures = _.filter(filenames, function (filename) {
+      return _.some(bySpec[filename], {severity: 'error'});
+    });
+
+    result += '  <testsuite name="' + escapeXml(provider) + '" tests="' + filenames.length +
+      '" failures="' + failures.length + '">\n';
+    _.each(filenames, function (filename) {
+      var entries = _.groupBy(bySpec[filename], 'severity');
+      result += '    <testcase classname="' + escapeXml(provider) +
+        '" name="' + escapeXml(filename) + '">\n';
+      _.each(entries.error, function (entry) {
+        result += '      <failure type="' + escapeXml(entry.code) + '" message="' +
+          escapeXml(entry.pointer + ': ' + entry.message) + '"/>\n';
+      });
+      if (!_.isEmpty(entries.warning)) {
+        result += '      <system-out>' + escapeXml(_.map(entries.warning, function (entry) {
+          return entry.code + ' ' + entry.pointer + ': ' + entry.message;
+        }).join('\n')) + '</system-out>\n';
+      }
+      result += '    </testcase>\n';
+    });
+    result += '  </testsuite>\n';
+  });
+  return result + '</testsuites>\n';
+}
+
+function lintSpec(swagger, filename) {
+  var config = getLintConfig(filename);
+  var results = [];
+
+  _.each(lintRules, function (rule, name) {
+    var severity = config[name] || rule.severity;
+    if (severity === 'off')
+      return;
+
+    _.each(rule.check(swagger, filename), function (problem) {
+      results.push({
+        spec: filename,
+        code: name,
+        severity: severity,
+        pointer: problem.pointer,
+        message: problem.message
+      });
+    });
+  });
+  return results;
+}
+
+//Merge 'lint.json' files from spec directory and all its parents,
+//e.g. '{"operation-summary": "off", "unused-definitions": "error"}'
+function getLintConfig(filename) {
+  var config = {};
+  var path = '';
+  _.each(_.dropRight(filename.split('/')), function (dir) {
+    path += dir + '/';
+    _.assign(config, readJson(path + 'lint.json'));
+  });
+  return config;
+}
+
+function lintInfoRequired(swagger) {
+  var problems = [];
+  _.each(['x-providerName', 'x-origin/format', 'x-origin/url'], function (field) {
+    if (!jp.has(swagger, '/info/' + field))
+      problems.push({pointer: '/info/' + field, message: 'Missing required field'});
+  });
+  return problems;
+}
+
+function lintInfoRecommended(swagger) {
+  var problems = [];
+  _.each(['/info/description', '/info/x-logo/url', '/externalDocs/url'], function (pointer) {
+    if (!jp.has(swagger, pointer))
+      problems.push({pointer: pointer, message: 'Missing recommended field'});
+  });
+  return problems;
+}
+
+function lintProviderDirectory(swagger, filename) {
+  var expected = _.dropRight(getPathComponents(swagger));
+  var actual = _.take(filename.split('/'), expected.length);
+  if (!_.isEqual(expected, actual)) {
+    return [{
+      pointer: '/info/x-providerName',
+      message: 'Spec should be stored in "' + expected.join('/') + '" directory'
+    }];
+  }
+}
+
+function lintPatchPresent(swagger, filename) {
+  var path = '';
+  var found = _.some(_.dropRight(filename.split('/')), function (dir) {
+    path += dir + '/';
+    return fs.existsSync(path + 'patch.json');
+  });
+  if (!found)
+    return [{pointer: '', message: 'No patch.json for this spec'}];
+}
+
+function lintOperationResponses(swagger) {
+  return lintOperations(swagger, function (operation) {
+    if (_.isEmpty(operation.responses))
+      return 'Operation has no responses';
+  });
+}
+
+function lintOperationSummary(swagger) {
+  return lintOperations(swagger, function (operation) {
+    if (!operation.summary)
+      return 'Operation has no summary';
+  });
+}
+
+function lintOperations(swagger, check) {
+  var problems = [];
+  _.each(swagger.paths, function (pathItem, path) {
+    _.each(_.pick(pathItem, httpMethods), function (operation, method) {
+      var message = check(operation);
+      if (message) {
+        problems.push({
+          pointer: '/paths/' + jp.escape(path) + '/' + method,
+          message: message
+        });
+      }
+    });
+  });
+  return problems;
+}
+
+//Logo info is known only after 'cache' command, logos without it are skipped
+function lintLogoBackground(swagger) {
+  var url = getLogoOriginUrl(swagger);
+  if (!url)
+    return;
+
+  lintCacheManifest = lintCacheManifest || readJson(cacheManifestFile) || {};
+  var entry = lintCacheManifest[URI(url).fragment('').toString()];
+  if (entry && entry.transparent && entry.light && !swagger.info['x-logo'].backgroundColor) {
+    return [{
+      pointer: '/info/x-logo/backgroundColor',
+      message: 'Logo is light and transparent, it needs background color'
+    }];
+  }
+}
+
+function lintOverrides(swagger) {
+  return _.flatten(_.map(getOverrideLayers(swagger), function (layer) {
+    return _.map(getPatchLeaves(layer.patch), function (leaf) {
+      var action = leaf.value === null ? 'Removed' : 'Overridden';
+      return {pointer: leaf.pointer, message: action + ' by ' + layer.name};
+    });
+  }));
+}
+
+function lintUnusedDefinitions(swagger) {
+  var refs = jsonPath.query(swagger, '$..["$ref"]');
+  return _(swagger.definitions).keys().filter(function (name) {
+    return refs.indexOf('#/definitions/' + name) === -1;
+  }).map(function (name) {
+    return {
+      pointer: '/definitions/' + jp.escape(name),
+      message: 'Definition is never referenced'
+    };
+  }).value();
+}
+
+function diffCollection(oldPath, newPath, command) {
+  var reports;
+  if (command.since)
+    reports = diffSince(command.since);
+  else {
+    if (!oldPath || !newPath) {
+      console.error('Specify two specs or use --since <REV>');
+      process.exitCode = errExitCode;
+      return;
+    }
+    oldPath = resolveSwaggerPath(oldPath);
+    newPath = resolveSwaggerPath(newPath);
+    var missing = _.reject([oldPath, newPath], fs.existsSync);
+    if (!_.isEmpty(missing)) {
+      console.error('Can not read spec: ' + missing.join(', '));
+      process.exitCode = errExitCode;
+      return;
+    }
+    reports = [{
+      old: oldPath,
+      new: newPath,
+      changes: diffSpecs(readJson(oldPath), readJson(newPath))
+    }];
+  }
+
+  if (command.json)
+    console.log(Json2String(reports));
+  else
+    console.log(diffReportToString(reports));
+
+  var breaking = _(reports).pluck('changes').flatten().some('breaking');
+  if (breaking)
+    process.exitCode = errExitCode;
+}
+
+function diffSince(rev) {
+  var files = exec('git diff -z --name-only ' + rev + ' -- \'*swagger.json\'');
+  files = _.compact(files.toString().split('\0'));
+
+  return _.map(files, function (filename) {
+    return {
+      old: rev + ':' + filename,
+      new: filename,
+      changes: diffSpecs(gitShowJson(rev, filename), readJson(filename))
+    };
+  });
+}
+
+function diffReportToString(reports) {
+  var result = '';
+  _.each(reports, function (report) {
+    result += report.old + ' -> ' + report.new + '\n';
+    if (_.isEmpty(report.changes))
+      result += '  no changes\n';
+
+    _.each(_.partition(report.changes, 'breaking'), function (changes, index) {
+      if (_.isEmpty(changes))
+        return;
+
+      result += index === 0 ? '  breaking:\n' : '  non-breaking:\n';
+      _.each(changes, function (change) {
+        result += '    ' + change.message + ' (' + change.pointer + ')\n';
+      });
+    });
+  });
+  return result;
+}
+
+//Compare two swagger specs, any of them can be undefined (added/deleted spec)
+function diffSpecs(oldSwagger, newSwagger) {
+  var changes = [];
+  oldSwagger = oldSwagger || {};
+  newSwagger = newSwagger || {};
+
+  function change(breaking, pointer, message) {
+    changes.push({breaking: breaking, pointer: pointer, message: message});
+  }
+
+  function diffMaps(oldMap, newMap, pointer, getName, onBoth) {
+    _.each(_.union(_.keys(oldMap), _.keys(newMap)), function (key) {
+      var keyPointer = _.isFunction(pointer) ? pointer(key) : pointer + '/' + jp.escape(key);
+      var name = getName(key);
+      if (!_.has(newMap, key))
+        return change(true, keyPointer, name + ' removed');
+      if (!_.has(oldMap, key))
+        return change(false, keyPointer, name + ' added');
+      onBoth(oldMap[key], newMap[key], keyPointer, name, key);
+    });
+  }
+
+  function diffModified(oldValue, newValue, pointer, message, before) {
+    if (changes.length === before && jsondiffpatch.diff(oldValue, newValue))
+      change(false, pointer, message);
+  }
+
+  //added spec has nothing to break
+  _.each(['host', 'basePath'], function (field) {
+    if (_.has(oldSwagger, 'swagger') && oldSwagger[field] !== newSwagger[field])
+      change(true, '/' + field, field + ' changed: ' +
+        oldSwagger[field] + ' -> ' + newSwagger[field]);
+  });
+
+  diffMaps(oldSwagger.paths, newSwagger.paths, '/paths', function (path) {
+    return 'path ' + path;
+  }, function (oldPathItem, newPathItem, pathPointer, pathName, path) {
+    var oldOps = _.pick(oldPathItem, httpMethods);
+    var newOps = _.pick(newPathItem, httpMethods);
+
+    diffMaps(oldOps, newOps, pathPointer, function (method) {
+      return 'operation ' + method.toUpperCase() + ' ' + path;
+    }, function (oldOp, newOp, opPointer, opName) {
+      var before = changes.length;
+
+      var paramPointers = {};
+      var oldParams = getParameters(oldSwagger, oldPathItem, oldOp, pathPointer, opPointer, paramPointers);
+      var newParams = getParameters(newSwagger, newPathItem, newOp, pathPointer, opPointer, paramPointers);
+      diffMaps(oldParams, newParams, _.propertyOf(paramPointers), function (key) {
+        return 'parameter ' + key + ' of ' + opName;
+      }, diffParameter);
+
+      diffModified(oldOp, newOp, opPointer, opName + ' modified', before);
+    });
+  });
+
+  diffMaps(oldSwagger.definitions, newSwagger.definitions, '/definitions', function (name) {
+    return 'definition ' + name;
+  }, function (oldSchema, newSchema, pointer, defName, name) {
+    var before = changes.length;
+
+    diffMaps(oldSchema.properties, newSchema.properties, pointer + '/properties', function (prop) {
+      return 'property ' + name + '.' + prop;
+    }, function (oldProp, newProp, propPointer, propName) {
+      if (!_.isEqual(getSchemaType(oldProp), getSchemaType(newProp)))
+        change(true, propPointer, propName + ' changed type');
+    });
+
+    _.each(_.difference(newSchema.required, oldSchema.required), function (prop) {
+      change(true, pointer + '/required', 'property ' + name + '.' + prop + ' became required');
+    });
+
+    diffModified(oldSchema, newSchema, pointer, defName + ' modified', before);
+  });
+
+  function diffParameter(oldParam, newParam, pointer, name) {
+    if (!oldParam.required && newParam.required)
+      change(true, pointer + '/required', name + ' became required');
+    if (oldParam.required && !newParam.required)
+      change(false, pointer + '/required', name + ' became optional');
+
+    if (!_.isEqual(getSchemaType(oldParam), getSchemaType(newParam)))
+      change(true, pointer, name + ' changed type');
+
+    var removedValues = _.difference(oldParam.enum, newParam.enum);
+    if (newParam.enum && !_.isEmpty(removedValues))
+      change(true, pointer + '/enum', name + ' lost values: ' + removedValues.join(', '));
+  }
+
+  return changes;
+}
+
+//Path level parameters merged with operation level, keyed by 'in:name'
+function getParameters(swagger, pathItem, operation, pathPointer, opPointer, pointers) {
+  var result = {};
+  function addParameters(params, pointer) {
+    _.each(params, function (param, index) {
+      if (param.$ref)
+        param = jp(swagger, param.$ref.substring(1));
+
+      var key = param.in + ':' + param.name;
+      result[key] = param;
+      pointers[key] = pointer + '/parameters/' + index;
+    });
+  }
+
+  addParameters(pathItem.parameters, pathPointer);
+  addParameters(operation.parameters, opPointer);
+  return result;
+}
+
+//Map of operations keyed by 'METHOD path'
+function getOperations(swagger) {
+  var result = {};
+  _.each(swagger.paths, function (pathItem, path) {
+    _.each(_.pick(pathItem, httpMethods), function (operation, method) {
+      result[method.toUpperCase() + ' ' + path] = operation;
+    });
+  });
+  return result;
+}
+
+function getSchemaType(schema) {
+  schema = schema.schema || schema;
+  return _.pick(schema, ['$ref', 'type', 'format', 'collectionFormat']);
+}
+
+function resolveSwaggerPath(path) {
+  if (fs.existsSync(path) && fs.statSync(path).isDirectory())
+    path = Path.join(path, 'swagger.json');
+  return path;
+}
+
+function gitShowJson(rev, filename) {
+  try {
+    var data = exec('git show \'' + rev + ':' + filename + '\'', {stdio: 'pipe'});
+    return JSON.parse(data.toString());
+  }
+  catch (e) {
+    //file was added after 'rev'
+    return;
+  }
+}
+
+function addToCollection(type, source, command) {
+  var exPatch = {info: {}};
+  if (_.isString(command.service))
+    exPatch.info['x-serviceName'] = command.service;
+
+  if (isLocalSource(source)) {
+    //local path is meaningless for anyone else, so don't put it into 'x-origin'
+    if (!command.originUrl) {
+      console.error('Local spec requires --origin-url');
+      process.exitCode = errExitCode;
+      return;
+    }
+    source = resolveLocalSource(source, type);
+  }
+
+  var options = {
+    dryRun: command.dryRun,
+    originUrl: command.originUrl,
+    detectService: command.service !== false
+  };
+  writeSpec(source, type, exPatch, options, function (error, result) {
+    if (!error && !command.fixup)
+      return;
+
+    if (!command.fixup || !result.swagger)
+      return logError(error, result);
+
+    editFile(errorToString(error, result), function (error, data) {
+      if (error) {
+        console.error(error);
+        process.exitCode = errExitCode;
+        return;
+      }
+
+      var match = data.match(/\?+ Swagger.*$((?:.|\n)*?^}$)/m);
+      if (!match || !match[1]) {
+        console.error('Can not match edited Swagger');
+        process.exitCode = errExitCode;
+        return;
+      }
+      var editedSwagger = JSON.parse(match[1]);
+      saveFixup(result.swagger, editedSwagger);
+    });
+  });
+}
+
+function isLocalSource(source) {
+  return !/^https?:\/\//.test(source) && fs.existsSync(source);
+}
+
+//For directory find main file of spec, other files are referenced from it
+function resolveLocalSource(source, type) {
+  source = Path.resolve(source);
+  if (!fs.statSync(source).isDirectory())
+    return source;
+
+  var files = fs.readdirSync(source);
+  var mainFile = _.find(['api.raml', 'swagger.json', 'swagger.yaml', 'api-docs.json'], function (file) {
+    return _.includes(files, file);
+  });
+
+  if (!mainFile) {
+    var extensions = {raml: ['.raml'], wadl: ['.wadl', '.xml']}[type] || ['.json', '.yaml', '.yml'];
+    var candidates = _.filter(files, function (file) {
+      return _.includes(extensions, Path.extname(file));
+    });
+    assert(candidates.length === 1, 'Can not find main file of spec in "' + source + '"');
+    mainFile = candidates[0];
+  }
+  return Path.join(source, mainFile);
+}
+
+function editFile(data, cb) {
+  var tmpfile = mktemp('/tmp/XXXXXX.fixup.txt');
+  fs.writeFileSync(tmpfile, data);
+
+  editor(tmpfile, function (code) {
+    if (code !== 0)
+      return cb(Error('Editor closed with code ' + code));
+
+    cb(null, fs.readFileSync(tmpfile, 'utf-8'));
+  });
+}
+
+function saveFixup(swagger, editedSwagger) {
+  var fixupPath = getSwaggerPath(swagger, 'fixup.json');
+
+  //Before diff we need to unpatch, it's a way to appeand changes
+  var fixup = readJson(fixupPath);
+  if (fixup)
+    jsondiffpatch.unpatch(swagger, fixup);
+
+  var diff = jsondiffpatch.diff(swagger, editedSwagger);
+  if (diff)
+    saveJson(fixupPath, diff);
+  else if (fixup)
+    fs.unlinkSync(fixupPath);
+}
+
+function fixupSpec(specPath, command) {
+  specPath = resolveSwaggerPath(specPath);
+  var swagger = readJson(specPath);
+  assert(swagger, 'Can not read spec: ' + specPath);
+
+  if (command.show) {
+    var fixup = readJson(getSwaggerPath(swagger, 'fixup.json'));
+    return console.log(fixupChangesToString(deltaToChanges(fixup)));
+  }
+
+  var editedSwagger;
+  if (command.patch) {
+    editedSwagger = _.cloneDeep(swagger);
+    applyJsonPatch(editedSwagger, readJson(command.patch));
+  }
+  else if (command.edited)
+    editedSwagger = readJson(command.edited);
+  else {
+    console.error('Specify --patch, --edited or --show');
+    process.exitCode = errExitCode;
+    return;
+  }
+
+  //'saveFixup' unpatch swagger in place
+  saveFixup(_.cloneDeep(swagger), editedSwagger);
+  saveJson(specPath, editedSwagger);
+}
+
+//Convert jsondiffpatch delta to list of changes with JSON pointers
+function deltaToChanges(delta, pointer, changes) {
+  pointer = pointer || '';
+  changes = changes || [];
+
+  if (_.isUndefined(delta))
+    return changes;
+
+  if (_.isArray(delta)) {
+    var change = {pointer: pointer};
+    if (delta.length === 1)
+      change.newValue = delta[0];
+    else if (delta.length === 2) {
+      change.oldValue = delta[0];
+      change.newValue = delta[1];
+    }
+    else if (delta[2] === 0)
+      change.oldValue = delta[0];
+    else if (delta[2] === 2)
+      change.textDiff = delta[0];
+    else if (delta[2] === 3)
+      change.movedTo = _.dropRight(pointer.split('/')).join('/') + '/' + delta[1];
+
+    changes.push(change);
+    return changes;
+  }
+
+  var isArray = delta._t === 'a';
+  _.each(delta, function (subDelta, key) {
+    if (key === '_t')
+      return;
+
+    //removed and moved array items are refered by old index with '_' prefix
+    if (isArray && key[0] === '_')
+      key = key.substring(1);
+    deltaToChanges(subDelta, pointer + '/' + jp.escape(key), changes);
+  });
+  return changes;
+}
+
+function fixupChangesToString(changes) {
+  if (_.isEmpty(changes))
+    return 'No fixup';
+
+  return _.map(changes, function (change) {
+    var lines = [change.pointer];
+    if (_.has(change, 'oldValue'))
+      lines.push('  old: ' + JSON.stringify(change.oldValue));
+    if (_.has(change, 'newValue'))
+      lines.push('  new: ' + JSON.stringify(change.newValue));
+    if (change.textDiff)
+      lines.push('  text diff:\n' + change.textDiff.replace(/^/gm, '    '));
+    if (change.movedTo)
+      lines.push('  moved to: ' + change.movedTo);
+    return lines.join('\n');
+  }).join('\n');
+}
+
+//Apply RFC 6902 JSON Patch in place
+function applyJsonPatch(target, patch) {
+  assert(_.isArray(patch), 'JSON Patch should be an array of operations');
+
+  _.each(patch, function (operation) {
+    var path = operation.path;
+    switch (operation.op) {
+      case 'add':
+        addJsonValue(target, path, operation.value);
+        break;
+      case 'remove':
+        removeJsonValue(target, path);
+        break;
+      case 'replace':
+        removeJsonValue(target, path);
+        addJsonValue(target, path, operation.value);
+        break;
+      case 'move':
+        var value = jp(target, operation.from);
+        removeJsonValue(target, operation.from);
+        addJsonValue(target, path, value);
+        break;
+      case 'copy':
+        addJsonValue(target, path, _.cloneDeep(jp(target, operation.from)));
+        break;
+      case 'test':
+        assert(_.isEqual(jp(target, path), operation.value), 'JSON Patch test failed: ' + path);
+        break;
+      default:
+        assert(false, 'Unknown JSON Patch operation: ' + operation.op);
+    }
+  });
+}
+
+function addJsonValue(target, pointer, value) {
+  var tokens = jp.parse(pointer);
+  var key = tokens.pop();
+  assert(!_.isUndefined(key), 'Can not replace whole document');
+
+  var parent = jp(target, jp.compile(tokens));
+  if (!_.isArray(parent))
+    return (parent[key] = value);
+
+  var index = key === '-' ? parent.length : Number(key);
+  assert(index >= 0 && index <= parent.length, 'Invalid array index: ' + pointer);
+  parent.splice(index, 0, value);
+}
+
+function removeJsonValue(target, pointer) {
+  assert(jp.has(target, pointer), 'Path does not exist: ' + pointer);
+
+  var tokens = jp.parse(pointer);
+  var key = tokens.pop();
+  var parent = jp(target, jp.compile(tokens));
+  if (_.isArray(parent))
+    parent.splice(Number(key), 1);
+  else
+    delete parent[key];
+}
+
+function discoverSpecs(sourceName, location, command) {
+  var source = discoverySources[sourceName];
+  if (!source) {
+    console.error('Unknown source "' + sourceName + '", use one of: ' +
+      _.keys(discoverySources).join(', '));
+    process.exitCode = errExitCode;
+    return;
+  }
+
+  location = location || source.location;
+  if (!location) {
+    console.error('Source "' + sourceName + '" requires location');
+    process.exitCode = errExitCode;
+    return;
+  }
+
+  var blacklist = readJson(command.blacklist || source.blacklist) || {};
+  readDirectory(location, function (err, data) {
+    assert(!err, err);
+
+    var candidates = source.parse(data, location, command);
+    var knownSpecs = _.mapKeys(getSpecs(), getOriginUrl);
+    var report = classifyCandidates(candidates, knownSpecs, blacklist);
+    console.log(discoveryReportToString(report));
 
-  writeSpec(url, type, exPatch, function (error, result) {
-    if (!error && !command.fixup)
+    if (command.dryRun)
       return;
 
-    if (!command.fixup || !result.swagger)
-      return logError(error, result);
+    _.each(report.known, function (candidate) {
+      if (!_.isUndefined(candidate.preferred))
+        mergePatch(knownSpecs[candidate.url], getPreferredPatch(candidate));
+    });
 
-    editFile(errorToString(error, result), function (error, data) {
-      if (error) {
-        console.error(error);
-        process.exitCode = errExitCode;
-        return;
-      }
+    async.forEachSeries(report.new, function (candidate, asyncCb) {
+      var exPatch = null;
+      if (candidate.service)
+        exPatch = {info: {'x-serviceName': candidate.service}};
 
-      var match = data.match(/\?+ Swagger.*$((?:.|\n)*?^}$)/m);
-      if (!match || !match[1]) {
-        console.error('Can not match edited Swagger');
-        process.exitCode = errExitCode;
-        return;
-      }
-      var editedSwagger = JSON.parse(match[1]);
-      saveFixup(result.swagger, editedSwagger);
+      console.error(candidate.url);
+      writeSpec(candidate.url, candidate.type, exPatch, {detectService: true}, function (error, result) {
+        if (error)
+          logError(error, result);
+        else if (!_.isUndefined(candidate.preferred))
+          mergePatch(result.swagger, getPreferredPatch(candidate));
+        asyncCb(null);
+      });
     });
   });
 }
 
-function editFile(data, cb) {
-  var tmpfile = mktemp('/tmp/XXXXXX.fixup.txt');
-  fs.writeFileSync(tmpfile, data);
-
-  editor(tmpfile, function (code) {
-    if (code !== 0)
-      return cb(Error('Editor closed with code ' + code));
+//Local path (e.g. test fixture) or URL
+function readDirectory(location, callback) {
+  if (isLocalSource(location))
+    return fs.readFile(location, 'utf-8', callback);
 
-    cb(null, fs.readFileSync(tmpfile, 'utf-8'));
+  getResource(location, function (err, response, data) {
+    callback(err, data);
   });
 }
 
-function saveFixup(swagger, editedSwagger) {
-  var fixupPath = getSwaggerPath(swagger, 'fixup.json');
-
-  //Before diff we need to unpatch, it's a way to appeand changes
-  var fixup = readJson(fixupPath);
-  if (fixup)
-    jsondiffpatch.unpatch(swagger, fixup);
-
-  var diff = jsondiffpatch.diff(swagger, editedSwagger);
-  if (diff)
-    saveJson(fixupPath, diff);
+function classifyCandidates(candidates, knownSpecs, blacklist) {
+  var report = {new: [], known: [], blacklisted: []};
+  _.each(_.uniq(candidates, 'url'), function (candidate) {
+    if (_.has(blacklist, candidate.id))
+      report.blacklisted.push(_.extend({reason: blacklist[candidate.id]}, candidate));
+    else if (_.has(knownSpecs, candidate.url))
+      report.known.push(candidate);
+    else
+      report.new.push(candidate);
+  });
+  return report;
 }
 
-function updateGoogle() {
-  var knownSpecs = _.mapKeys(getSpecs(), getOriginUrl);
-
-  getResource('https://www.googleapis.com/discovery/v1/apis', function(err, response, data) {
-    assert(!err, err);
+function discoveryReportToString(report) {
+  var lines = [];
+  _.each(report, function (candidates, status) {
+    _.each(candidates, function (candidate) {
+      var line = _.padRight(status, 12) + candidate.id;
+      if (candidate.id !== candidate.url)
+        line += ' ' + candidate.url;
+      if (candidate.reason)
+        line += ' (' + candidate.reason + ')';
+      lines.push(line);
+    });
+  });
 
-    data = JSON.parse(data);
-    assert.equal(data.kind, 'discovery#directoryList');
-    assert.equal(data.discoveryVersion, 'v1');
-
-    var result = [];
-    //FIXME: data.preferred
-    _.each(data.items, function (api) {
-      //blacklist
-      if ([
-             //missing API description
-             'cloudlatencytest:v2',
-             //asterisk in path
-             'admin:directory_v1',
-             //plus in path
-             'pubsub:v1',
-             'pubsub:v1beta1',
-             'pubsub:v1beta1a',
-             'pubsub:v1beta2',
-             'genomics:v1',
-             'appengine:v1beta4',
-             'storagetransfer:v1',
-             'cloudbilling:v1',
-             'proximitybeacon:v1beta1',
-             'youtubereporting:v1',
-             //circular reference in MapFolder/MapItem
-             'mapsengine:exp2',
-             'mapsengine:v1',
-           ].indexOf(api.id) >= 0) {
-          return;
-      }
+  lines.push(_.map(report, function (candidates, status) {
+    return candidates.length + ' ' + status;
+  }).join(', '));
+  return lines.join('\n');
+}
 
-      assert(typeof api.preferred === 'boolean');
-      var addPath = {
-        info: {
-          'x-preferred': api.preferred
-        }
-      };
+function getPreferredPatch(candidate) {
+  return {info: {'x-preferred': candidate.preferred}};
+}
 
-      var url = api.discoveryRestUrl;
-      var knownSpec = knownSpecs[url];
-      if (!_.isUndefined(knownSpec)) {
-        mergePatch(knownSpec, addPath);
-        return;
-      }
+function parseGoogleDirectory(data) {
+  data = JSON.parse(data);
+  assert.equal(data.kind, 'discovery#directoryList');
+  assert.equal(data.discoveryVersion, 'v1');
+
+  return _.map(data.items, function (api) {
+    assert(typeof api.preferred === 'boolean');
+    return {
+      id: api.id,
+      url: api.discoveryRestUrl,
+      type: 'google',
+      preferred: api.preferred
+    };
+  });
+}
 
-      console.error(url);
-      writeSpec(url, 'google', null, function (error, result) {
-        if (error)
-          return logError(error, result);
-        mergePatch(result.swagger, addPath);
+//List of URLs or objects with 'url', 'type', 'id', 'service' and 'preferred',
+//or APIs.json file. Relative URLs are resolved against directory location.
+function parseSpecDirectory(data, location, command) {
+  data = yaml.safeLoad(data);
+
+  var entries = data;
+  if (_.isPlainObject(data) && _.isArray(data.apis)) {
+    entries = [];
+    _.each(data.apis, function (api) {
+      _.each(api.properties, function (property) {
+        var type = apisJsonTypes[property.type];
+        if (type)
+          entries.push({url: property.url, type: type});
       });
     });
+  }
+  assert(_.isArray(entries), 'Directory should be list of specs or APIs.json');
+
+  return _.map(entries, function (entry) {
+    if (_.isString(entry))
+      entry = {url: entry};
+
+    var url = URI(entry.url).absoluteTo(location).toString();
+    var type = entry.type || command.type;
+    assert(type, 'Unknown type of "' + url + '", use --type option');
+    return {
+      id: entry.id || url,
+      url: url,
+      type: type,
+      preferred: entry.preferred,
+      service: entry.service
+    };
   });
 }
 
@@ -479,10 +3008,14 @@ function mergePatch(swagger, addPatch) {
     saveJson(path, newPatch);
 }
 
-function writeSpec(source, type, exPatch, callback) {
-  converter.getSpec(source, type, function (err, spec) {
+function writeSpec(source, type, exPatch, options, callback) {
+  getOriginSpec(source, type, function (err, spec) {
     assert(!err, err);
 
+    //all relative references are already resolved so we can replace source
+    if (options.originUrl)
+      spec.source = options.originUrl;
+
     convertToSwagger(spec, function (error, swagger) {
       var result = {
         spec: spec,
@@ -492,123 +3025,327 @@ function writeSpec(source, type, exPatch, callback) {
       if (error)
         return callback(error, result);
 
-      patchSwagger(swagger, exPatch);
-      result.swagger = swagger;
+      resolveServiceName(swagger, exPatch, options, function (error) {
+        if (error)
+          return callback(error, result);
 
-      function done(errors, warnings) {
-        result.warnings = warnings;
+        var fixupProblems = patchSwagger(swagger, exPatch);
+        result.swagger = swagger;
 
-        if (errors)
-          return callback(errors, result);
+        if (!_.isEmpty(fixupProblems))
+          console.error(fixupProblemsToString(fixupProblems));
+        if (_.some(fixupProblems, {type: 'conflict'}))
+          return callback(Error('Fixup conflicts with spec, fix or remove it'), result);
 
-        if (warnings)
-          logJson(warnings);
+        function done(errors, warnings) {
+          result.warnings = warnings;
 
-        var filename = saveSwagger(swagger);
-        callback(null, result);
-      }
+          if (!_.isEmpty(result.fixes))
+            console.error(fixesToString(result.fixes));
+
+          if (errors)
+            return callback(errors, result);
 
-      function validateAndFix() {
-        validateSwagger(swagger, function (errors, warnings) {
-          if (!errors)
-            return done(errors, warnings);
+          if (warnings)
+            logJson(warnings);
+
+          if (!options.dryRun) {
+            saveSwagger(swagger);
+            saveOrigin(swagger, spec);
+          }
+          callback(null, result);
+        }
 
-          if (fixSpec(swagger, errors))
-            validateAndFix();
-          else
-            validateSwagger(swagger, done);
+        validateAndFix(swagger, function (errors, warnings, fixes) {
+          result.fixes = fixes;
+          done(errors, warnings);
         });
-      }
+      });
+    });
+  });
+}
+
+//Detect 'x-serviceName' for new specs unless it's already known
+function resolveServiceName(swagger, exPatch, options, callback) {
+  if (!options.detectService || getServiceName(swagger) || _.get(exPatch, ['info', 'x-serviceName']))
+    return callback(null);
+
+  var detected = detectServiceName(swagger);
+  var id = getProviderName(swagger) + (detected.service ? ':' + detected.service : '');
+  console.error('Proposed API id: ' + id);
+
+  function setServiceName(serviceName) {
+    if (serviceName)
+      swagger.info['x-serviceName'] = serviceName;
+    callback(null);
+  }
+
+  if (!detected.ambiguous)
+    return setServiceName(detected.service);
+
+  if (!process.stdin.isTTY) {
+    return callback(Error('Service name is ambiguous (candidates: ' +
+      (detected.candidates.join(', ') || 'none') + '), use -s or --no-service option'));
+  }
+
+  var rl = readline.createInterface({input: process.stdin, output: process.stderr});
+  rl.question('Service name [' + (detected.service || 'none') + '], "-" for none: ', function (answer) {
+    rl.close();
+    answer = answer.trim();
+    if (answer === '-')
+      return setServiceName();
+    setServiceName(answer || detected.service);
+  });
+}
 
-      validateAndFix();
+//Service name from provider rules in '<provider>/services.json', subdomain or
+//first meaningful segment of basePath. Rules are list of objects with regexes
+//for 'host', 'basePath' or 'title' and 'service' which may use groups ($1, ...)
+function detectServiceName(swagger) {
+  var provider = getProviderName(swagger);
+  var rules = readJson(provider + '/services.json') || [];
+  var fields = {
+    host: swagger.host,
+    basePath: swagger.basePath,
+    title: swagger.info.title
+  };
+
+  var service;
+  _.some(rules, function (rule) {
+    var groups = [];
+    var matched = _.every(_.pick(rule, _.keys(fields)), function (pattern, field) {
+      var match = new RegExp(pattern).exec(fields[field] || '');
+      if (match && match.length > 1)
+        groups = match;
+      return !!match;
     });
+
+    if (matched) {
+      service = rule.service.replace(/\$(\d)/g, function (str, index) {
+        return groups[index];
+      });
+    }
+    return matched;
+  });
+
+  if (service)
+    return {service: service, candidates: [service], ambiguous: false};
+
+  var domain = (swagger.host && parseDomain(swagger.host)) || {subdomain: ''};
+  var subdomain = domain.subdomain.split('.');
+  var segments = (swagger.basePath || '').split('/');
+  var candidates = _.uniq(_.compact([
+    _.find(subdomain, isServiceToken),
+    _.find(segments, isServiceToken)
+  ]));
+
+  //most providers have single API, so service name is used only if provider
+  //already has specs with service names
+  var hasServices = _.some(getSpecs(provider + '/'), getServiceName);
+  if (!hasServices)
+    return {candidates: candidates, ambiguous: false};
+
+  return {service: candidates[0], candidates: candidates, ambiguous: candidates.length !== 1};
+}
+
+function isServiceToken(token) {
+  var genericTokens = ['', 'api', 'apis', 'www', 'developer', 'developers', 'dev',
+    'rest', 'restapi', 'json', 'sandbox', 'secure', 'ws', 'service', 'services', 'public'];
+  return !_.includes(genericTokens, token.toLowerCase()) && !/^v?\d/.test(token);
+}
+
+//Apply fixes until spec is valid or there is nothing left to fix
+function validateAndFix(swagger, callback, fixes) {
+  fixes = fixes || [];
+  validateSwagger(swagger, function (errors, warnings) {
+    if (!errors)
+      return callback(errors, warnings, fixes);
+
+    var newFixes = fixSpec(swagger, errors);
+    if (_.isEmpty(newFixes))
+      return callback(errors, warnings, fixes);
+
+    validateAndFix(swagger, callback, fixes.concat(newFixes));
+  });
+}
+
+function getOriginSpec(source, type, callback) {
+  if (!_.isPlainObject(source))
+    return converter.getSpec(source, type, callback);
+
+  //replay origin document stored by 'saveOrigin', no network access needed,
+  //stored sub-resources replace downloading them so refs are resolved from them
+  var spec = new converter.Formats[source.type]();
+  spec.resolveSubResources = function () {
+    this.subResources = source.subResources;
+  };
+  spec.resolveResources(source.spec).asCallback(function (err) {
+    if (err)
+      return callback(err);
+
+    spec.source = source.url;
+    callback(null, spec);
   });
 }
 
+function saveOrigin(swagger, spec) {
+  saveJson(getSwaggerPath(swagger, 'origin.json'), {
+    url: spec.source,
+    type: spec.format,
+    spec: spec.spec,
+    subResources: spec.subResources
+  });
+}
+
+//Apply matching fix rules, returns log of applied fixes
 function fixSpec(swagger, errors) {
-  var fixed = false;
+  var fixes = [];
 
   _.each(errors, function (error) {
-    var parentPath = jp.compile(_.dropRight(error.path));
-    var path = jp.compile(error.path);
-
-    var parentValue = jp(swagger, parentPath);
-    var value = jp(swagger, path);
-
-    var newValue;
-
-    switch(error.code) {
-      case 'MISSING_PATH_PARAMETER_DEFINITION':
-        var field = error.message.match(': (.+)$')[1];
-        newValue = _.clone(value);
-        newValue.parameters = value.parameters || [];
-        newValue.parameters.push({
-          name: field,
-          type: 'string',
-          in: 'path',
-          required: true
-        });
-        break;
-      case 'OBJECT_MISSING_REQUIRED_PROPERTY_DEFINITION':
-        newValue = _.clone(value);
-        newValue.required = [];
-        _.each(value.required, function (name) {
-          if (!_.isUndefined(value.properties[name]))
-            newValue.required.push(name);
+    _.some(fixRules, function (rule, name) {
+      if (rule.codes.indexOf(error.code) === -1)
+        return false;
+
+      var changes = _.filter(rule.fix(swagger, error), function (change) {
+        var oldValue = jp.has(swagger, change.pointer) ? jp(swagger, change.pointer) : undefined;
+        if (_.isEqual(oldValue, change.value))
+          return false;
+
+        fixes.push({
+          rule: name,
+          code: error.code,
+          pointer: change.pointer,
+          oldValue: _.cloneDeep(oldValue),
+          newValue: change.value
         });
-        if (_.isEmpty(newValue.required))
-          delete newValue.required;
-        break;
-      case 'ONE_OF_MISSING':
-        if (value.in === 'path' && !value.required) {
-          newValue = _.clone(value)
-          newValue.required = true;
-        }
-        break;
-      case 'UNRESOLVABLE_REFERENCE':
-        if (typeof swagger.definitions[value] !== 'undefined')
-          newValue = '#/definitions/' + value;
-        break;
-      case 'DUPLICATE_OPERATIONID':
-        //FIXME: find better solutions than strip all 'operationId'
-        jsonPath.apply(swagger, '$.paths[*][*].operationId', function (value) {
-          return undefined;
+
+        if (_.isUndefined(change.value))
+          jp.remove(swagger, change.pointer);
+        else
+          jp(swagger, change.pointer, change.value);
+        return true;
+      });
+      return !_.isEmpty(changes);
+    });
+  });
+  return fixes;
+}
+
+function fixesToString(fixes) {
+  return _.map(fixes, function (fix) {
+    return '[' + fix.rule + '] ' + fix.pointer + ': ' +
+      JSON.stringify(fix.oldValue) + ' -> ' + JSON.stringify(fix.newValue);
+  }).join('\n');
+}
+
+function fixMissingPathParameter(swagger, error) {
+  var path = jp.compile(error.path);
+  var value = jp(swagger, path);
+  var field = error.message.match(': (.+)$')[1];
+
+  return [{
+    pointer: path + '/parameters',
+    value: (value.parameters || []).concat({
+      name: field,
+      type: 'string',
+      in: 'path',
+      required: true
+    })
+  }];
+}
+
+function fixUnknownRequiredProperties(swagger, error) {
+  var path = jp.compile(error.path);
+  var value = jp(swagger, path);
+  var required = _.filter(value.required, function (name) {
+    return !_.isUndefined(value.properties[name]);
+  });
+
+  return [{
+    pointer: path + '/required',
+    value: _.isEmpty(required) ? undefined : required
+  }];
+}
+
+function fixOptionalPathParameter(swagger, error) {
+  var path = jp.compile(error.path);
+  var value = jp(swagger, path);
+  if (value.in === 'path' && !value.required)
+    return [{pointer: path + '/required', value: true}];
+}
+
+function fixDefinitionReference(swagger, error) {
+  var path = jp.compile(error.path);
+  var value = jp(swagger, path);
+  if (_.has(swagger.definitions, value))
+    return [{pointer: path, value: '#/definitions/' + value}];
+}
+
+//Keep first operation with colliding id and add numeric suffix to others
+function fixDuplicateOperationIds(swagger) {
+  var operations = [];
+  _.each(swagger.paths, function (pathItem, path) {
+    _.each(_.pick(pathItem, httpMethods), function (operation, method) {
+      if (operation.operationId) {
+        operations.push({
+          id: operation.operationId,
+          pointer: '/paths/' + jp.escape(path) + '/' + method + '/operationId'
         });
-        fixed = true;
-        break;
-      case 'OBJECT_MISSING_REQUIRED_PROPERTY':
-        if (error.message === 'Missing required property: version') {
-          newValue = _.clone(value);
-          newValue.version = '1.0.0';
-          break;
-        }
-        if (value.type === 'array' && _.isUndefined(value.items)) {
-          newValue = _.clone(value);
-          newValue.items = {};
-        }
-        break;
-      case 'ENUM_MISMATCH':
-      case 'INVALID_FORMAT':
-      case 'INVALID_TYPE':
-        if (_.last(error.path) !== 'default')
-          break;
-        var type = parentValue.type;
-        if (_.isString(value) && !_.isUndefined(type) && type !== 'string') {
-          try {
-            newValue = JSON.parse(value);
-          }
-          catch (e) {}
-        }
-        delete parentValue.default;
-        //TODO: add warning
-        break;
-    }
-    if (!_.isUndefined(newValue)) {
-      jp(swagger, path, newValue);
-      fixed = true;
-    }
+      }
+    });
+  });
+
+  var counts = _.countBy(operations, 'id');
+  var used = {};
+  var duplicates = _.filter(operations, function (operation) {
+    if (used[operation.id])
+      return true;
+
+    used[operation.id] = true;
+    return false;
+  });
+
+  return _.map(duplicates, function (operation) {
+    var index = 2;
+    var newId;
+    do {
+      newId = operation.id + '_' + index++;
+    } while (counts[newId] || used[newId]);
+
+    used[newId] = true;
+    return {pointer: operation.pointer, value: newId};
   });
-  return fixed;
+}
+
+function fixMissingVersion(swagger, error) {
+  if (error.message === 'Missing required property: version')
+    return [{pointer: jp.compile(error.path) + '/version', value: '1.0.0'}];
+}
+
+function fixMissingArrayItems(swagger, error) {
+  var path = jp.compile(error.path);
+  var value = jp(swagger, path);
+  if (value.type === 'array' && _.isUndefined(value.items))
+    return [{pointer: path + '/items', value: {}}];
+}
+
+//Try to convert default value to declared type, otherwise remove it
+function fixDefaultValue(swagger, error) {
+  if (_.last(error.path) !== 'default')
+    return;
+
+  var path = jp.compile(error.path);
+  var value = jp(swagger, path);
+  var type = jp(swagger, jp.compile(_.dropRight(error.path))).type;
+
+  var newValue;
+  if (_.isString(value) && !_.isUndefined(type) && type !== 'string') {
+    try {
+      newValue = JSON.parse(value);
+    }
+    catch (e) {}
+  }
+  return [{pointer: path, value: newValue}];
 }
 
 function logError(error, context) {
@@ -623,7 +3360,7 @@ function errorToString(errors, context) {
   var url = spec.source;
 
   var result = '++++++++++++++++++++++++++ Begin ' + url + ' +++++++++++++++++++++++++\n';
-  if (spec.type !== 'swagger_2' || _.isUndefined(swagger)) {
+  if (spec.format !== 'swagger_2' || _.isUndefined(swagger)) {
     result += Json2String(spec.spec);
     if (spec.subResources)
       result += Json2String(spec.subResources);
@@ -661,15 +3398,33 @@ function logJson(json) {
 
 function validateSwagger(swagger, callback) {
   //TODO: remove 'getSpec', instead do it when reading file.
+  //converter failures are reported as validation errors of whole spec
+  function fail(err) {
+    callback([{code: 'VALIDATOR_FAILED', message: err.message, path: []}]);
+  }
+
   converter.getSpec(swagger, 'swagger_2', function (err, spec) {
-    assert(!err, err);
-    spec.validate(callback);
+    if (err)
+      return fail(err);
+    spec.validate(function (err, result) {
+      if (err)
+        return fail(err);
+      callback(result.errors, result.warnings);
+    });
   });
 }
 
+//'dir' could be a directory or a glob pattern, e.g. 'googleapis.com/*/v1'
 function getSpecs(dir) {
-  dir = dir || '';
-  var files = glob.sync(dir + '**/swagger.json');
+  var pattern = dir || '';
+  if (!_.endsWith(pattern, 'swagger.json')) {
+    if (pattern !== '' && !_.endsWith(pattern, '/'))
+      pattern += '/';
+    pattern += '**/swagger.json';
+  }
+
+  //'test' contains fixtures, not collection specs
+  var files = glob.sync(pattern, {ignore: 'test/**'});
   return _.transform(files, function (result, filename) {
     result[filename] = readJson(filename);
   }, {});
@@ -677,27 +3432,246 @@ function getSpecs(dir) {
 
 function patchSwagger(swagger, exPatch) {
   removeEmpty(swagger.info);
+  applyPatch(swagger, mergePatchLayers(getPatchLayers(swagger, exPatch)));
+  _.each(getOverrideLayers(swagger), function (layer) {
+    applyOverride(swagger, layer.patch);
+  });
+  return applyFixup(swagger);
+}
 
-  var patch = exPatch;
-  var pathComponents = getPathComponents(swagger);
+//Patch from command line followed by 'patch.json' of every parent directory
+function getPatchLayers(swagger, exPatch) {
+  var layers = [{name: 'command line', patch: exPatch}];
+  return layers.concat(getParentLayers(swagger, 'patch.json'));
+}
+
+//Unlike 'patch.json' these are allowed to replace and delete (with null) values
+function getOverrideLayers(swagger) {
+  return getParentLayers(swagger, 'override.json');
+}
 
+function getParentLayers(swagger, filename) {
+  var layers = [];
   var path = '';
-  _.each(pathComponents, function (dir) {
+  _.each(getPathComponents(swagger), function (dir) {
     path += dir + '/';
-    var subPatch = readJson(path + 'patch.json');
+    var patch = readJson(path + filename);
+
+    if (!_.isUndefined(patch))
+      layers.push({name: path + filename, patch: patch});
+  });
+  return layers;
+}
+
+function applyOverride(swagger, override) {
+  assert(_.isPlainObject(override), 'Override should be an object');
+  jsonPatch.apply(swagger, override);
+}
 
-    if (!_.isUndefined(subPatch))
-      patch = jsonPatch.merge(patch, subPatch);
+//List of values set by merge patch, 'null' value means deleted
+function getPatchLeaves(patch, pointer, leaves) {
+  pointer = pointer || '';
+  leaves = leaves || [];
+
+  if (!_.isPlainObject(patch) || _.isEmpty(patch)) {
+    leaves.push({pointer: pointer, value: patch});
+    return leaves;
+  }
+
+  _.each(patch, function (value, key) {
+    getPatchLeaves(value, pointer + '/' + jp.escape(key), leaves);
   });
+  return leaves;
+}
 
+function mergePatchLayers(layers) {
+  return _.reduce(_.rest(layers), function (patch, layer) {
+    return jsonPatch.merge(patch, layer.patch);
+  }, _.first(layers).patch);
+}
+
+function applyPatch(swagger, patch) {
   //swagger-converter if title is absent use host as default
   if (swagger.info.title === swagger.host && !_.isUndefined(patch.info.title))
     delete swagger.info.title;
 
   applyMergePatch(swagger, patch);
+}
+
+//Fixup isn't applied if any of its changes conflicts with spec
+function applyFixup(swagger) {
+  var fixup = readJson(getSwaggerPath(swagger, 'fixup.json'));
+  var problems = checkFixup(swagger, fixup);
+  if (!_.some(problems, {type: 'conflict'}))
+    jsondiffpatch.patch(swagger, fixup);
+  return problems;
+}
+
+//Find fixup changes that conflict with spec or that are already present in it,
+//already present array items are also removed from 'fixup' so they aren't duplicated
+function checkFixup(swagger, fixup) {
+  var problems = [];
+  checkDelta(true, swagger, fixup, '', problems);
+  return problems;
+}
 
+function checkDelta(exists, value, delta, pointer, problems) {
+  if (_.isUndefined(delta))
+    return;
+
+  if (_.isArray(delta))
+    return checkValueDelta(exists, value, delta, pointer, problems);
+
+  if (delta._t === 'a')
+    return checkArrayDelta(exists, value, delta, pointer, problems);
+
+  if (!exists || !_.isPlainObject(value))
+    return problems.push({type: 'conflict', pointer: pointer, message: 'expected object'});
+
+  _.each(delta, function (subDelta, key) {
+    checkDelta(_.has(value, key), value[key], subDelta, pointer + '/' + jp.escape(key), problems);
+  });
+}
+
+function checkValueDelta(exists, value, delta, pointer, problems) {
+  function problem(type, message) {
+    problems.push({type: type, pointer: pointer, message: message});
+  }
+
+  //text diff
+  if (delta[2] === 2) {
+    if (!_.isString(value))
+      return problem('conflict', 'expected string for text diff');
+    try {
+      jsondiffpatch.patch({value: value}, {value: delta});
+    }
+    catch (e) {
+      problem('conflict', 'text diff does not apply');
+    }
+    return;
+  }
+
+  //added value
+  if (delta.length === 1) {
+    if (!exists)
+      return;
+    if (_.isEqual(value, delta[0]))
+      return problem('noop', 'value is already added');
+    return problem('conflict', 'value already exists: ' + JSON.stringify(value));
+  }
+
+  var oldValue = delta[0];
+  var isRemoved = delta[2] === 0;
+  if (exists && _.isEqual(value, oldValue))
+    return;
+  if (isRemoved && !exists)
+    return problem('noop', 'value is already removed');
+  if (!isRemoved && exists && _.isEqual(value, delta[1]))
+    return problem('noop', 'value is already changed');
+  problem('conflict', 'expected ' + JSON.stringify(oldValue) +
+    ' but found ' + JSON.stringify(value));
+}
+
+//Same order as jsondiffpatch: removed and moved items are referred by old
+//index, then inserted items and changed items are referred by new index
+function checkArrayDelta(exists, value, delta, pointer, problems) {
+  if (!exists || !_.isArray(value))
+    return problems.push({type: 'conflict', pointer: pointer, message: 'expected array'});
+
+  var keys = _.without(_.keys(delta), '_t');
+  var oldKeys = _.filter(keys, function (key) {
+    return key[0] === '_';
+  });
+  var newKeys = _.difference(keys, oldKeys);
+
+  var moved = _.filter(oldKeys, function (key) {
+    return delta[key][2] === 3;
+  });
+  var present = _.reject(value, function (item, index) {
+    return _.includes(oldKeys, '_' + index) && !_.includes(moved, '_' + index);
+  });
+  var stale = _.filter(newKeys, function (key) {
+    var subDelta = delta[key];
+    return _.isArray(subDelta) && subDelta.length === 1 &&
+      _.some(present, _.partial(_.isEqual, subDelta[0]));
+  });
+  //if spec already has item it's usually at the same position, so other indexes are kept
+  _.each(stale, function (key) {
+    delete delta[key];
+    problems.push({type: 'noop', pointer: pointer + '/' + key, message: 'array item is already present'});
+  });
+  newKeys = _.difference(newKeys, stale);
+
+  var removed = [];
+  var inserted = [];
+  _.each(oldKeys, function (key) {
+    var index = Number(key.substring(1));
+    var subDelta = delta[key];
+    if (index >= value.length) {
+      return problems.push({type: 'conflict', pointer: pointer + '/' + index,
+        message: 'array item is missing'});
+    }
+
+    removed.push(index);
+    //moved item
+    if (subDelta[2] === 3)
+      inserted.push({index: subDelta[1], value: value[index]});
+    else
+      checkDelta(true, value[index], subDelta, pointer + '/' + index, problems);
+  });
+
+  var changed = [];
+  _.each(newKeys, function (key) {
+    var subDelta = delta[key];
+    if (_.isArray(subDelta) && subDelta.length === 1)
+      inserted.push({index: Number(key), value: subDelta[0]});
+    else
+      changed.push(Number(key));
+  });
+
+  var array = _.clone(value);
+  _.each(_.sortBy(removed).reverse(), function (index) {
+    array.splice(index, 1);
+  });
+  _.each(_.sortBy(inserted, 'index'), function (item) {
+    if (item.index > array.length) {
+      return problems.push({type: 'conflict', pointer: pointer + '/' + item.index,
+        message: 'array is too short to insert item'});
+    }
+    array.splice(item.index, 0, item.value);
+  });
+
+  _.each(changed, function (index) {
+    checkDelta(index < array.length, array[index], delta[index], pointer + '/' + index, problems);
+  });
+}
+
+//Committed spec is result of applying fixup, so fixup should apply cleanly to
+//the spec with fixup reverted
+function lintFixup(swagger) {
   var fixup = readJson(getSwaggerPath(swagger, 'fixup.json'));
-  swagger = jsondiffpatch.patch(swagger, fixup);
+  if (_.isUndefined(fixup))
+    return;
+
+  try {
+    var unpatched = jsondiffpatch.unpatch(_.cloneDeep(swagger), fixup);
+  }
+  catch (e) {
+    return [{pointer: '', message: 'Fixup can not be reverted: ' + e.message}];
+  }
+
+  return _.map(checkFixup(unpatched, fixup), function (problem) {
+    return {pointer: problem.pointer, message: 'Fixup ' + problem.type + ': ' + problem.message};
+  });
+}
+
+function fixupProblemsToString(problems) {
+  if (_.isEmpty(problems))
+    return '  fixup applies cleanly';
+
+  return _.map(problems, function (problem) {
+    return '  ' + problem.type + ' ' + problem.pointer + ': ' + problem.message;
+  }).join('\n');
 }
 
 function removeEmpty(obj) {
@@ -712,28 +3686,36 @@ function removeEmpty(obj) {
 }
 
 function convertToSwagger(spec, callback) {
-  spec.convertTo('swagger_2', function (err, swagger) {
+  spec.convertTo('swagger_2', null, function (err, swagger) {
     if (err)
       return callback(err);
 
-    _.merge(swagger.spec.info, {
-      'x-providerName': parseHost(swagger.spec),
-      'x-origin': {
-        format: spec.formatName,
-        version: spec.getFormatVersion(),
-        url: spec.source
-      }
-    });
+    try {
+      addOriginInfo(swagger.spec, spec);
+    }
+    catch (e) {
+      return callback(e);
+    }
     callback(null, swagger.spec)
   });
 }
 
+function addOriginInfo(swagger, spec) {
+  _.merge(swagger.info, {
+    'x-providerName': parseHost(swagger),
+    'x-origin': {
+      format: spec.formatName,
+      version: spec.getFormatVersion(),
+      url: spec.source
+    }
+  });
+}
+
 function parseHost(swagger) {
   assert(swagger.host);
   var p = parseDomain(swagger.host);
   p.domain = p.domain.replace(/^www.?/, '')
   p.subdomain = p.subdomain.replace(/^www.?/, '')
-  //TODO: use subdomain to detect 'x-serviceName'
 
   var host = p.tld;
   if (p.domain !== '')
@@ -762,7 +3744,7 @@ function getOrigin(swagger) {
 
 function getSpecType(swagger) {
   var origin = getOrigin(swagger);
-  return converter.getTypeName(origin.format, origin.version);
+  return converter.getFormatName(origin.format, origin.version);
 }
 
 function getOriginUrl(swagger) {
@@ -796,6 +3778,15 @@ function saveJson(path, json) {
   saveFile(path, Json2String(json));
 }
 
+function saveYaml(path, json) {
+  saveFile(path, toYaml(json));
+}
+
+//Values that can't be represented in YAML (e.g. 'undefined') are skipped like in JSON
+function toYaml(json) {
+  return yaml.safeDump(sortobject(json), {skipInvalid: true});
+}
+
 function saveFile(path, data) {
   console.log(path);
   mkdirp(Path.dirname(path));
@@ -817,12 +3808,13 @@ function applyMergePatch(target, patch) {
 
   var keys = Object.keys(patch);
   _.forEach(patch, function (value, key) {
-    assert(value !== null, 'Patch tried to delete property: ' + key);
+    assert(value !== null, 'Patch tried to delete property: ' + key + ', use override.json');
 
     if (_.isPlainObject(target[key]))
       return applyMergePatch(target[key], value);
 
-    assert(_.isUndefined(target[key]), 'Patch tried to override property: ' + key);
+    assert(_.isUndefined(target[key]),
+      'Patch tried to override property: ' + key + ', use override.json');
     target[key] = value;
   });
 };
@@ -11,14 +11,17 @@ set -o pipefail
 
   #FIXME: remove
   export NODE_TLS_REJECT_UNAUTHORIZED=0
+  #restore cache from previous deploy, so only stale resources are downloaded
+  git fetch --depth 1 "https://${GH_REF}" gh-pages && git checkout FETCH_HEAD -- ./cache ||
+    echo 'No cache from previous deploy'
   ./scripts/collection.js cache https://apis-guru.github.io/api-models/
   git add ./cache
 
   ./scripts/collection.js api https://apis-guru.github.io/api-models/
-  git add ./api/v1/list.json
+  git add ./api/v1 '*swagger.yaml' '*openapi.json' '*openapi.yaml'
 
-  ./scripts/collection.js apisjson https://apis-guru.github.io/api-models/
-  git add ./apis.json
+  ./scripts/collection.js apisjson --per-provider https://apis-guru.github.io/api-models/
+  git add ./apis.json ./*/apis.json
 
   git commit -m 'Generate API'
 
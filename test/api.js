@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+'use strict';
+
+//Run 'api' command on fixture collection copied into temporary git repository
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var mktemp = require('mktemp');
+
+var fixtures = path.join(__dirname, 'fixtures/api');
+var collection = path.join(__dirname, '../scripts/collection.js');
+var specRootUrl = 'https://example.org/';
+var dir = mktemp.createDirSync(path.join(os.tmpdir(), 'XXXXXX'));
+
+function run(command, args) {
+  return childProcess.execFileSync(command, args, {cwd: dir, stdio: 'pipe'}).toString();
+}
+
+function git(args) {
+  return run('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com'].concat(args));
+}
+
+function readJson(filename) {
+  return JSON.parse(fs.readFileSync(path.join(dir, filename), 'utf-8'));
+}
+
+function editSpec(message, edit) {
+  var filename = path.join(dir, 'example.com/1.0/swagger.json');
+  var swagger = JSON.parse(fs.readFileSync(filename, 'utf-8'));
+  edit(swagger);
+  fs.writeFileSync(filename, JSON.stringify(swagger, null, 2) + '\n');
+  git(['commit', '-q', '-a', '-m', message]);
+}
+
+function revParse(rev) {
+  return git(['rev-parse', rev]).trim();
+}
+
+try {
+  run('cp', ['-R', fixtures + '/.', dir]);
+  git(['init', '-q']);
+  git(['add', '-A']);
+  git(['commit', '-q', '-m', 'Add example.com']);
+  git(['branch', 'side']);
+
+  //side branch adds definition, master edits description, merge changes definition
+  git(['checkout', '-q', 'side']);
+  editSpec('Add SideDef', function (swagger) {
+    swagger.definitions.SideDef = {type: 'string'};
+  });
+  git(['checkout', '-q', 'master']);
+  editSpec('Edit description', function (swagger) {
+    swagger.info.description = 'All pets of example.com';
+  });
+  git(['merge', '-q', '--no-commit', '--no-ff', 'side']);
+  editSpec('Merge side', function (swagger) {
+    swagger.definitions.SideDef = {type: 'integer'};
+  });
+
+  run(process.execPath, [collection, 'api', specRootUrl]);
+
+  var list = readJson('api/v1/list.json');
+  var version = list['example.com'].versions['1.0'];
+  assert.equal(version.swaggerUrl, specRootUrl + 'example.com/1.0/swagger.json');
+  assert.equal(version.openapiUrl, specRootUrl + 'example.com/1.0/openapi.json');
+
+  var openapi = readJson('example.com/1.0/openapi.json');
+  assert(/^3\./.test(openapi.openapi), 'spec is converted to OpenAPI 3');
+  assert.deepEqual(openapi.servers, [{url: 'https://api.example.com/v1'}]);
+  assert(openapi.components.schemas.Pet);
+  assert(fs.existsSync(path.join(dir, 'example.com/1.0/openapi.yaml')));
+  assert(fs.existsSync(path.join(dir, 'example.com/1.0/swagger.yaml')));
+
+  //every commit is compared with its first parent, merged changes belong to merge commit
+  var changes = readJson('api/v1/changes/example.com.json')['1.0'];
+  assert.deepEqual(changes.map(function (change) {
+    return change.commit;
+  }), [revParse('HEAD'), revParse('HEAD^'), revParse('HEAD~2')]);
+  assert.deepEqual(changes[0].definitions, {added: ['SideDef'], removed: [], modified: []});
+  assert.deepEqual(changes[1].definitions, {added: [], removed: [], modified: []});
+  assert.deepEqual(changes[2].definitions, {added: ['Pet'], removed: [], modified: []});
+  console.log('api: ok');
+}
+finally {
+  run('rm', ['-rf', dir]);
+}
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+'use strict';
+
+//Run 'cache' command on fixtures against local server serving SVG and PNG logos,
+//terms of service fail with 500. Fixtures use 'cache.test' host which is replaced
+//with address of the server.
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var glob = require('glob');
+var Jimp = require('jimp');
+var mktemp = require('mktemp');
+
+var fixtures = path.join(__dirname, 'fixtures/cache');
+var collection = path.join(__dirname, '../scripts/collection.js');
+var specRootUrl = 'https://example.org/';
+var dir = mktemp.createDirSync(path.join(os.tmpdir(), 'XXXXXX'));
+
+var svg = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:svg="http://www.w3.org/2000/svg" ' +
+  'width="120" height="40" onload="alert(1)"><svg:script>alert(2)</svg:script>' +
+  '<set attributeName="href" to="javascript:alert(3)"/>' +
+  '<rect width="10" height="10" fill="red" style="fill:url(http://evil.example.com/)"/></svg>';
+
+function readJson(filename) {
+  return JSON.parse(fs.readFileSync(path.join(dir, filename), 'utf-8'));
+}
+
+function finish(err) {
+  server.close();
+  childProcess.execFileSync('rm', ['-rf', dir]);
+  if (err)
+    throw err;
+  console.log('cache: ok');
+}
+
+var png;
+var server = http.createServer(function (req, res) {
+  if (req.url === '/logo.svg') {
+    res.writeHead(200, {'Content-Type': 'image/svg+xml'});
+    res.end(svg);
+  }
+  else if (req.url === '/logo.png') {
+    res.writeHead(200, {'Content-Type': 'image/png'});
+    res.end(png);
+  }
+  else {
+    res.writeHead(500);
+    res.end();
+  }
+});
+
+new Jimp(40, 20, 0x336699ff, function (err, image) {
+  assert(!err, err);
+  image.getBuffer(Jimp.MIME_PNG, function (err, buffer) {
+    assert(!err, err);
+    png = buffer;
+    server.listen(0, '127.0.0.1', run);
+  });
+});
+
+function run() {
+  var base = 'http://127.0.0.1:' + server.address().port;
+
+  childProcess.execFileSync('cp', ['-R', fixtures + '/.', dir]);
+  glob.sync('**/swagger.json', {cwd: dir}).forEach(function (filename) {
+    filename = path.join(dir, filename);
+    var data = fs.readFileSync(filename, 'utf-8');
+    fs.writeFileSync(filename, data.replace(/http:\/\/cache\.test/g, base));
+  });
+
+  var args = [collection, 'cache', specRootUrl, '--retries', '0', '--retry-interval', '0'];
+  childProcess.execFile(process.execPath, args, {cwd: dir}, function (err, stdout, stderr) {
+    try {
+      assert(!err, 'failed download should not abort caching\n' + stderr);
+      assert(stderr.indexOf('Can not cache termsOfService "' + base + '/error"') !== -1, stderr);
+      assert(stderr.indexOf('Checked 3 resources, 1 failed') !== -1, stderr);
+
+      var manifest = readJson('cache/manifest.json');
+      var failed = manifest[base + '/error'];
+      assert.equal(failed.kind, 'termsOfService');
+      assert(failed.error && failed.failed);
+
+      var svgEntry = manifest[base + '/logo.svg'];
+      assert.equal(svgEntry.kind, 'logo');
+      assert.equal(svgEntry.contentType, 'image/svg+xml');
+      assert.equal(svgEntry.width, 120);
+      assert.equal(svgEntry.height, 40);
+      var sanitized = fs.readFileSync(path.join(dir, svgEntry.file), 'utf-8');
+      assert.equal(sanitized, '<svg xmlns="http://www.w3.org/2000/svg" ' +
+        'xmlns:xlink="http://www.w3.org/1999/xlink" width="120" height="40">' +
+        '<rect width="10" height="10" fill="red"></rect></svg>\n');
+
+      var pngEntry = manifest[base + '/logo.png'];
+      assert.equal(pngEntry.contentType, 'image/png');
+      assert.equal(pngEntry.width, 40);
+      assert.equal(pngEntry.height, 20);
+      assert.strictEqual(pngEntry.transparent, false);
+      assert.strictEqual(pngEntry.light, false);
+      assert.deepEqual(pngEntry.thumbnails.map(function (thumbnail) {
+        assert(fs.existsSync(path.join(dir, thumbnail.file)));
+        return thumbnail.width;
+      }), [64, 128]);
+
+      //logos point to cached copies and remember where they came from
+      var svgLogo = readJson('svg.example.com/1.0/swagger.json').info['x-logo'];
+      assert.deepEqual(svgLogo, {
+        url: specRootUrl + svgEntry.file + '#bg',
+        width: 120,
+        height: 40,
+        'x-origin': {url: base + '/logo.svg#bg'}
+      });
+
+      var pngLogo = readJson('png.example.com/1.0/swagger.json').info['x-logo'];
+      assert.equal(pngLogo.url, specRootUrl + pngEntry.file);
+      assert.deepEqual(pngLogo['x-origin'], {url: base + '/logo.png'});
+      assert.deepEqual(pngLogo.thumbnails[0], {
+        url: specRootUrl + pngEntry.thumbnails[0].file,
+        width: 64,
+        height: 64
+      });
+      finish();
+    }
+    catch (e) {
+      finish(e);
+    }
+  });
+}
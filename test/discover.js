@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+'use strict';
+
+//Run 'discover --dry-run' on fixture directories, known specs and Google blacklist
+//come from fixture collection which is used as working directory
+var assert = require('assert');
+var childProcess = require('child_process');
+var path = require('path');
+
+var fixtures = path.join(__dirname, 'fixtures/discover/');
+var collection = path.join(__dirname, '../scripts/collection.js');
+
+function discover(args) {
+  args = [collection, 'discover'].concat(args, '--dry-run');
+  var options = {cwd: fixtures + 'collection'};
+  return childProcess.execFileSync(process.execPath, args, options).toString().split('\n');
+}
+
+assert.deepEqual(discover(['google', fixtures + 'google.json']), [
+  'new         example:v1 https://www.googleapis.com/discovery/v1/apis/example/v1/rest',
+  'known       books:v1 https://www.googleapis.com/discovery/v1/apis/books/v1/rest',
+  'blacklisted admin:directory_v1 https://www.googleapis.com/discovery/v1/apis/admin/directory_v1/rest' +
+    ' (asterisk in path)',
+  '1 new, 1 known, 1 blacklisted',
+  ''
+]);
+
+assert.deepEqual(discover(['directory', fixtures + 'directory.json']), [
+  'new         example ' + fixtures + 'specs/example.yaml',
+  'known       http://api.citysdk.waag.org/swagger',
+  '1 new, 1 known, 0 blacklisted',
+  ''
+]);
+
+var yamlArgs = ['--type', 'swagger_2', '--blacklist', fixtures + 'blacklist.json'];
+assert.deepEqual(discover(['directory', fixtures + 'directory.yaml'].concat(yamlArgs)), [
+  'new         http://example.com/new/swagger.yaml',
+  'new         http://example.com/api.raml',
+  'blacklisted http://example.com/old/swagger.yaml (deprecated)',
+  '2 new, 0 known, 1 blacklisted',
+  ''
+]);
+
+assert.deepEqual(discover(['directory', fixtures + 'apis.json']), [
+  'new         http://example.com/swagger.json',
+  'new         http://example.com/api.raml',
+  '2 new, 0 known, 0 blacklisted',
+  ''
+]);
+
+console.log('discover: ok');
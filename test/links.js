@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+'use strict';
+
+//Run 'links' command on fixtures against local server, two providers share license URL.
+//Fixtures use 'links.test' host which is replaced with address of the server.
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var glob = require('glob');
+var mktemp = require('mktemp');
+
+var fixtures = path.join(__dirname, 'fixtures/links');
+var collection = path.join(__dirname, '../scripts/collection.js');
+var dir = mktemp.createDirSync(path.join(os.tmpdir(), 'XXXXXX'));
+
+var server = http.createServer(function (req, res) {
+  if (req.url === '/tos')
+    res.writeHead(301, {Location: '/tos-new'});
+  else if (req.url === '/missing')
+    res.writeHead(404);
+  else if (req.url === '/a')
+    res.writeHead(401);
+  else
+    res.writeHead(200, {'Content-Type': 'text/html'});
+  res.end();
+});
+
+server.listen(0, '127.0.0.1', function () {
+  var host = '127.0.0.1:' + server.address().port;
+  var base = 'http://' + host;
+
+  childProcess.execFileSync('cp', ['-R', fixtures + '/.', dir]);
+  glob.sync('**/swagger.json', {cwd: dir}).forEach(function (filename) {
+    filename = path.join(dir, filename);
+    var data = fs.readFileSync(filename, 'utf-8');
+    fs.writeFileSync(filename, data.replace(/links\.test/g, host));
+  });
+
+  function finish(err) {
+    server.close();
+    childProcess.execFileSync('rm', ['-rf', dir]);
+    if (err)
+      throw err;
+    console.log('links: ok');
+  }
+
+  function links(args, callback) {
+    args = [collection, 'links', '--no-cache', '--delay', '0'].concat(args);
+    childProcess.execFile(process.execPath, args, {cwd: dir}, function (err, stdout, stderr) {
+      try {
+        assert(err && err.code === 255, 'broken link should set exit code\n' + stderr);
+        callback(stdout);
+      }
+      catch (e) {
+        finish(e);
+      }
+    });
+  }
+
+  links(['--json'], function (stdout) {
+    assert(!fs.existsSync(path.join(dir, '.links-cache.json')), 'cache is not written');
+
+    var report = JSON.parse(stdout);
+    function findLink(provider, url) {
+      return report[provider].filter(function (link) {
+        return link.url === base + url;
+      })[0];
+    }
+
+    assert.deepEqual(Object.keys(report), ['a.example.com', 'b.example.com']);
+    assert.equal(report['a.example.com'].length, 4);
+    assert.equal(report['b.example.com'].length, 4);
+
+    var license = findLink('b.example.com', '/license');
+    assert.deepEqual(findLink('a.example.com', '/license'), license);
+    assert.deepEqual(license.providers, ['a.example.com', 'b.example.com']);
+    assert.equal(license.status, 200);
+
+    assert.equal(findLink('a.example.com', '/tos').redirects[0].url, base + '/tos-new');
+    assert.equal(findLink('b.example.com', '/missing').status, 404);
+    assert.equal(findLink('a.example.com', '/a').status, 401);
+
+    //only contact link is broken, API root answering 401 is fine
+    links(['--broken'], function (stdout) {
+      assert(/^2 links, 1 broken, 1 redirected$/m.test(stdout), stdout);
+      assert.equal(stdout.indexOf(base + '/a '), -1, stdout);
+      finish();
+    });
+  });
+});
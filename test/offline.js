@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+'use strict';
+
+//Add Swagger 1.2 spec from local server, then stop the server and rebuild spec
+//with 'update --offline', API declaration should come from stored origin.
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var mktemp = require('mktemp');
+
+var fixtures = path.join(__dirname, 'fixtures/offline');
+var collection = path.join(__dirname, '../scripts/collection.js');
+var dir = mktemp.createDirSync(path.join(os.tmpdir(), 'XXXXXX'));
+var specDir = path.join(dir, 'example.com/pets/1.0');
+
+var resources = {
+  '/api-docs': 'api-docs.json',
+  '/api-docs/pets': 'pets.json'
+};
+
+function finish(err) {
+  childProcess.execFileSync('rm', ['-rf', dir]);
+  if (err)
+    throw err;
+  console.log('offline: ok');
+}
+
+function readSpecFile(filename) {
+  return fs.readFileSync(path.join(specDir, filename), 'utf-8');
+}
+
+var server = http.createServer(function (req, res) {
+  if (!resources[req.url]) {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, {'Content-Type': 'application/json'});
+  fs.createReadStream(path.join(fixtures, resources[req.url])).pipe(res);
+});
+
+server.listen(0, '127.0.0.1', function () {
+  var url = 'http://127.0.0.1:' + server.address().port + '/api-docs';
+  var args = [collection, 'add', 'swagger_1', url, '--service', 'pets'];
+  childProcess.execFile(process.execPath, args, {cwd: dir}, function (err, stdout, stderr) {
+    server.close();
+    try {
+      assert(!err, stderr);
+      var swagger = readSpecFile('swagger.json');
+      var origin = readSpecFile('origin.json');
+      assert(JSON.parse(swagger).paths['/pets/{petId}'], 'API declaration is converted');
+      assert(JSON.parse(origin).subResources['/pets'], 'API declaration is stored');
+    }
+    catch (e) {
+      return finish(e);
+    }
+    update(swagger, origin);
+  });
+});
+
+//server is closed, so any attempt to download sub-resources fails
+function update(swagger, origin) {
+  var args = [collection, 'update', '--offline'];
+  childProcess.execFile(process.execPath, args, {cwd: dir}, function (err, stdout, stderr) {
+    try {
+      assert(!err, stderr);
+      assert.equal(readSpecFile('swagger.json'), swagger);
+      assert.equal(readSpecFile('origin.json'), origin);
+      finish();
+    }
+    catch (e) {
+      finish(e);
+    }
+  });
+}